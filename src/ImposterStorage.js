@@ -1,31 +1,215 @@
 'use strict';
 
+const crypto = require('crypto');
+
+const LruCache = require('./LruCache');
 const RedisClient = require('./RedisClient');
+const { migrations, SCHEMA_VERSION } = require('./migrations');
 const errors = require('mountebank/src/util/errors');
 
 const CHANNELS = {
     imposter_change: 'imposter_change',
     imposter_delete: 'imposter_delete',
     all_imposters_delete: 'all_imposters_delete',
+    stub_change: 'stub_change',
+    node_change: 'node_change',
+};
+
+const IMPOSTER_CHANNELS = [
+    CHANNELS.imposter_change,
+    CHANNELS.imposter_delete,
+    CHANNELS.all_imposters_delete,
+    CHANNELS.stub_change,
+];
+
+// the channels publishing the id and the revision of the changed imposter
+const EVENT_CHANNELS = [ CHANNELS.imposter_change, CHANNELS.imposter_delete, CHANNELS.stub_change ];
+
+const CONFLICT_ERROR_CODE = errors.ResourceConflictError().code;
+
+// the events published on stub_change, which don't need the imposter to be bound again
+const STUB_EVENTS = {
+    stubAdded: 'stub_added',
+    stubRemoved: 'stub_removed',
+    stubReplaced: 'stub_replaced',
+    stubsReplaced: 'stubs_replaced',
+    responseAdded: 'response_added',
 };
 
 const ENTITIES = {
+    events: 'events',
+    expiration: 'expirations',
     imposter: 'imposter',
+    imposterIndex: 'imposterIds',
     matchList: 'matches',
     meta: 'meta',
+    migrationLock: 'migrationLock',
+    node: 'nodes',
+    nodeInfo: 'nodeInfo',
     requestCounter: 'requestCounter',
     requestList: 'requests',
     response: 'response',
+    retention: 'retention',
+    revision: 'revisions',
+    schema: 'schema',
 };
 
+// the entities stored by imposter, whose keys are tagged with the imposter id in cluster mode
+const IMPOSTER_ENTITIES = [
+    ENTITIES.imposter,
+    ENTITIES.matchList,
+    ENTITIES.meta,
+    ENTITIES.requestCounter,
+    ENTITIES.requestList,
+    ENTITIES.response,
+    ENTITIES.retention,
+    ENTITIES.revision,
+];
+
+const LOGS = [ 'requests', 'matches' ];
+
+const MIGRATION_LOCK_TTL = 60000;
+const MIGRATION_LOCK_RETRY_INTERVAL = 500;
+
+const DEFAULT_CACHE_SIZE = 1000;
+const DEFAULT_GARBAGE_GRACE_PERIOD = 600000;
+const DEFAULT_CLUSTER_NAMESPACE = 'mountebank';
+
 function repeatsFor(response) {
     return response.repeat || 1;
 }
 
 class ImposterStorage {
-    constructor(options = {}, logger) {
-        this.dbClient = new RedisClient(options, logger);
+    constructor(options = {}, logger, config = {}) {
+        this._namespace = config.namespace || '';
+        this._isCluster = Boolean(config.cluster);
+        this.dbClient = new RedisClient(options, logger, {
+            cluster: config.cluster,
+            sentinel: config.sentinel,
+            events: config.events && { ...config.events, key: this._key(ENTITIES.events) },
+        });
         this._logger = logger.child({ _context: 'imposter_storage' });
+        this._retention = config.retention || {};
+        this._imposterTtl = config.imposterTtl || 0;
+
+        const cache = config.cache || {};
+        if (cache.enabled) {
+            this._imposterCache = new LruCache(cache.maxSize || DEFAULT_CACHE_SIZE);
+            this._responseCache = new LruCache(cache.maxSize || DEFAULT_CACHE_SIZE);
+        }
+        this._cacheGeneration = 0;
+        this._subscriptions = new Set();
+        this.dbClient.onResubscribe(() => this._clearCache());
+    }
+
+    /**
+     * Returns the redis key for the entity, prefixed with the namespace if any.
+     * In cluster mode the prefix is a hash tag, as scripts and transactions only touch keys in the same slot.
+     * The data of an imposter is tagged with the imposter id too, so that the imposters are spread over the shards
+     * while all the keys of one imposter are in the same slot.
+     * Without the imposter id the key is the one shared by all the imposters, used outside of cluster mode.
+     * @param {String} entity - one of ENTITIES
+     * @param {String} imposterId - the id of the imposter, for the entities stored by imposter
+     * @returns {String}
+     */
+    _key(entity, imposterId) {
+        if (this._isCluster) {
+            const namespace = this._namespace || DEFAULT_CLUSTER_NAMESPACE;
+            const tag = IMPOSTER_ENTITIES.includes(entity) && imposterId !== undefined ? `${ namespace }:${ imposterId }` : namespace;
+            return `{${ tag }}:${ entity }`;
+        }
+        return this._namespace ? `${ this._namespace }:${ entity }` : entity;
+    }
+
+    /**
+     * Returns the imposter ids the keys of the imposter data are grouped by:
+     * in cluster mode the ids of all the imposters ever saved, each having its own keys,
+     * otherwise a single group of the keys shared by all the imposters.
+     * Imposter ids are ports, so the index of the ids stays small and is never pruned,
+     * which spares the races with the imposters saved while pruning.
+     * @returns {Object} - the promise resolving to the imposter ids, undefined standing for the shared keys
+     */
+    async _getKeyGroups() {
+        if (!this._isCluster) {
+            return [ undefined ];
+        }
+
+        const imposterIds = await this.dbClient.getObjectIds(this._key(ENTITIES.imposterIndex));
+        if (imposterIds === null) {
+            throw new Error('GET_KEY_GROUPS_ERROR, cannot read the imposter index');
+        }
+        return imposterIds;
+    }
+
+    /**
+     * Reads items of several imposters with a call per key, that is a single call unless in cluster mode
+     * @param {String} entity - one of ENTITIES
+     * @param {Array} refs - the imposterId and the id of every item
+     * @param {Function} readFn - the function reading the items with the passed ids at the passed key, resolving to null on error
+     * @returns {Object} - the promise resolving to the items in the order of the refs, or null on error
+     */
+    async _readByKey(entity, refs, readFn) {
+        const groups = {};
+        refs.forEach((ref, index) => {
+            const key = this._key(entity, ref.imposterId);
+            groups[key] = groups[key] || { ids: [], indexes: [] };
+            groups[key].ids.push(ref.id);
+            groups[key].indexes.push(index);
+        });
+
+        const keys = Object.keys(groups);
+        const results = await Promise.all(keys.map(key => readFn(key, groups[key].ids)));
+        if (results.includes(null)) {
+            return null;
+        }
+
+        const items = new Array(refs.length);
+        keys.forEach((key, i) => groups[key].indexes.forEach((index, j) => {
+            items[index] = results[i][j];
+        }));
+        return items;
+    }
+
+    _getObjectsByKey(entity, refs) {
+        return this._readByKey(entity, refs, (key, ids) => this.dbClient.getObjects(key, ids));
+    }
+
+    /**
+     * Returns the pub/sub channel name, prefixed with the namespace if any
+     * @param {String} channel - one of CHANNELS
+     * @returns {String}
+     */
+    _channel(channel) {
+        return this._namespace ? `${ this._namespace }:${ channel }` : channel;
+    }
+
+    /**
+     * The cache is only used while the changes made by other instances invalidate it,
+     * that is while all the channels are subscribed and the subscriber is connected
+     * @returns {Boolean}
+     */
+    _isCacheLive() {
+        return Boolean(this._imposterCache) &&
+            IMPOSTER_CHANNELS.every(channel => this._subscriptions.has(channel)) &&
+            this.dbClient.isSubscriberReady();
+    }
+
+    _invalidateCache(channel, imposterId) {
+        if (!this._imposterCache) {
+            return;
+        }
+
+        this._cacheGeneration += 1;
+        if (channel === CHANNELS.all_imposters_delete) {
+            this._imposterCache.clear();
+            this._responseCache.clear();
+        } else {
+            this._imposterCache.delete(imposterId);
+        }
+    }
+
+    _clearCache() {
+        this._invalidateCache(CHANNELS.all_imposters_delete);
     }
 
     async start() {
@@ -38,29 +222,235 @@ class ImposterStorage {
         return await this.dbClient.stop();
     }
 
-    _generateId(prefix) {
-        if (this._idCounter === undefined) {
-            this._idCounter = 0;
+    /**
+     * Returns the schema version of the stored data, 0 if it predates the schema version
+     * @returns {Object} - the promise resolving to the version, rejected if it can't be read
+     */
+    async _getSchemaVersion() {
+        const versions = await this.dbClient.getObjects(this._key(ENTITIES.schema), [ 'version' ]);
+        if (versions === null) {
+            throw errors.DatabaseError('Cannot read the schema version of the stored data.');
+        }
+        return versions[0] === null ? 0 : versions[0];
+    }
+
+    /**
+     * Checks that the stored data can be used by this version of the repository.
+     * Pending migrations that change nothing are applied silently, the others only if autoMigrate is set.
+     * @param {Object} options - the options
+     * @param {Boolean} options.autoMigrate - if true, incompatible data is upgraded instead of refused
+     * @returns {Object} - the promise rejecting if the stored data is incompatible
+     */
+    async checkSchema(options = {}) {
+        const version = await this._getSchemaVersion();
+        if (version === SCHEMA_VERSION) {
+            return;
+        }
+        if (version > SCHEMA_VERSION) {
+            throw errors.DatabaseError(`Stored data has schema version ${ version }, but only ${ SCHEMA_VERSION } is supported. ` +
+                'Upgrade mountebank-redis-repository.');
+        }
+
+        const plan = await this.migrate({ dryRun: true });
+        const hasChanges = plan.some(step => step.changes.length > 0);
+        if (hasChanges && !options.autoMigrate) {
+            throw errors.DatabaseError(`Stored data has schema version ${ version }, but ${ SCHEMA_VERSION } is required. ` +
+                'Run the migrations or set autoMigrate in impostersRepositoryConfig.');
         }
-        const epoch = new Date().valueOf();
-        this._idCounter += 1;
-        return `${ prefix }-${ epoch }-${ process.pid }-${ this._idCounter }`;
+        await this.migrate();
     }
 
-    async saveImposter(imposter) {
+    /**
+     * Runs the migrations newer than the stored schema version in order.
+     * Only one instance migrates at a time, the others wait for it until the lock it holds expires.
+     * @param {Object} options - the options
+     * @param {Boolean} options.dryRun - if true, only reports the changes the migrations would make
+     * @returns {Object} - the promise resolving to the list of applied migrations with their changes
+     */
+    async migrate(options = {}) {
+        const lockKey = this._key(ENTITIES.migrationLock);
+        const context = {
+            dbClient: this.dbClient,
+            dryRun: Boolean(options.dryRun),
+            key: entity => this._key(entity),
+            logger: this._logger,
+        };
+
+        if (!context.dryRun) {
+            const deadline = Date.now() + MIGRATION_LOCK_TTL;
+            while (!await this.dbClient.acquireLock(lockKey, MIGRATION_LOCK_TTL)) {
+                if (Date.now() >= deadline) {
+                    throw errors.DatabaseError(`Cannot acquire the migration lock within ${ MIGRATION_LOCK_TTL } ms.`);
+                }
+                await new Promise(resolve => setTimeout(resolve, MIGRATION_LOCK_RETRY_INTERVAL));
+            }
+        }
+
         try {
-            const res = await this.dbClient.setObject(ENTITIES.imposter, imposter.port, imposter);
-            this.dbClient.publish(CHANNELS.imposter_change, imposter.port);
-            return res;
+            const version = await this._getSchemaVersion();
+            const report = [];
+
+            for (const migration of migrations.filter(item => item.version > version)) {
+                const changes = await migration.up(context);
+                report.push({ version: migration.version, description: migration.description, changes });
+
+                if (!context.dryRun) {
+                    await this.dbClient.setObject(this._key(ENTITIES.schema), 'version', migration.version);
+                    this._logger.info(`Migrated to schema version ${ migration.version }: ${ migration.description }. ` +
+                        `${ changes.length } changes.`);
+                }
+            }
+
+            return report;
+        } finally {
+            if (!context.dryRun) {
+                await this.dbClient.releaseLock(lockKey);
+            }
+        }
+    }
+
+    /**
+     * Generates an id unique across all instances sharing the database.
+     * Ids are opaque strings, so the ones generated by earlier versions are still valid.
+     * @param {String} prefix - the prefix of the id
+     * @returns {String}
+     */
+    _generateId(prefix) {
+        return `${ prefix }-${ crypto.randomUUID() }`;
+    }
+
+    /**
+     * Saves the imposter and increments its revision
+     * @param {Object} imposter - the imposter config
+     * @param {Object} options - the options
+     * @param {Number} options.expectedRevision - if set, the imposter is saved only if it's at this revision,
+     * 0 meaning it has never been saved
+     * @param {Array} options.stubs - if set, the stubs replacing the ones of the imposter,
+     * whose data is written in batches before the imposter referencing it is saved
+     * @returns {Object} - the promise resolving to the new revision,
+     * rejected with a resource conflict error if the imposter isn't at the expected revision
+     */
+    async saveImposter(imposter, options = {}) {
+        try {
+            if (this._isCluster && await this.dbClient.setObject(this._key(ENTITIES.imposterIndex), imposter.port, true) === null) {
+                throw new Error('cannot index the imposter');
+            }
+
+            const stubs = options.stubs && await this.saveStubs(imposter.port, options.stubs);
+            const revision = await this.dbClient.transaction(this._revision(imposter.port), async transaction => {
+                this._checkRevision(imposter.port, options.expectedRevision, transaction.version);
+                if (stubs) {
+                    imposter.stubs = stubs;
+                }
+                await this._writeImposter(imposter, transaction);
+                return transaction.version + 1;
+            });
+            await this._saveExpiration(imposter);
+
+            this._invalidateCache(CHANNELS.imposter_change, imposter.port);
+            this._publishImposterEvent(CHANNELS.imposter_change, imposter.port, revision);
+            return revision;
         } catch (e) {
             this._logger.error(e, 'SAVE_IMPOSTER_ERROR');
+            if (e.code === CONFLICT_ERROR_CODE) {
+                return Promise.reject(e);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Returns the hash field holding the revision of the imposter, which guards the transactions changing the imposter,
+     * so that only the changes of the same imposter conflict
+     * @param {String} imposterId - the id of the imposter
+     * @returns {Object} - the key and the field
+     */
+    _revision(imposterId) {
+        return { key: this._key(ENTITIES.revision, imposterId), field: String(imposterId) };
+    }
+
+    /**
+     * Fails if the revision of the imposter isn't the expected one
+     * @param {String} imposterId - the id of the imposter
+     * @param {Number} expectedRevision - the expected revision, not checked if undefined
+     * @param {Number} revision - the current revision
+     */
+    _checkRevision(imposterId, expectedRevision, revision) {
+        if (expectedRevision !== undefined && revision !== expectedRevision) {
+            throw errors.ResourceConflictError(
+                `Imposter ${ imposterId } is at revision ${ revision }, not at the expected revision ${ expectedRevision }`);
+        }
+    }
+
+    /**
+     * Returns the revision of the imposter, incremented by every change of the imposter or of its stubs.
+     * It's kept when the imposter is deleted, so that it keeps increasing if the imposter is created again.
+     * @param {String} imposterId - the id of the imposter
+     * @returns {Object} - the promise resolving to the revision, 0 if the imposter has never been saved
+     */
+    async getImposterRevision(imposterId) {
+        try {
+            return (await this.dbClient.getObject(this._key(ENTITIES.revision, imposterId), imposterId)) || 0;
+        } catch (e) {
+            this._logger.error(e, 'GET_IMPOSTER_REVISION_ERROR');
             return null;
         }
     }
 
+    /**
+     * Returns the revisions of all the imposters ever saved
+     * @returns {Object} - the promise resolving to the revisions by imposter id
+     */
+    async getImposterRevisions() {
+        try {
+            if (!this._isCluster) {
+                return await this.dbClient.getAllObjectsById(this._key(ENTITIES.revision)) || {};
+            }
+
+            const imposterIds = await this._getKeyGroups();
+            const revisions = await this._getObjectsByKey(ENTITIES.revision, imposterIds.map(id => ({ imposterId: id, id }))) || [];
+            const revisionsById = {};
+            revisions.forEach((revision, index) => {
+                if (revision) {
+                    revisionsById[imposterIds[index]] = revision;
+                }
+            });
+            return revisionsById;
+        } catch (e) {
+            this._logger.error(e, 'GET_IMPOSTER_REVISIONS_ERROR');
+            return {};
+        }
+    }
+
+    /**
+     * Publishes a change of the imposter with its revision, so that the instances can ignore stale changes
+     * @param {String} channel - one of CHANNELS
+     * @param {String} imposterId - the id of the imposter
+     * @param {Number} revision - the revision of the imposter after the change
+     * @param {Object} details - the details of the change, e.g. the type of a stub event
+     * @returns {Object} - the promise
+     */
+    _publishImposterEvent(channel, imposterId, revision, details = {}) {
+        return this.dbClient.publish(this._channel(channel), { imposterId, revision, ...details });
+    }
+
+    async _writeImposter(imposter, client = this.dbClient) {
+        const res = await client.setObject(this._key(ENTITIES.imposter, imposter.port), imposter.port, imposter);
+        await this._saveRetention(imposter, client);
+        return res;
+    }
+
     async subscribe(channel, callbackFn) {
         try {
-            return await this.dbClient.subscribe(channel, callbackFn);
+            const res = await this.dbClient.subscribe(this._channel(channel), payload => {
+                // instances of older versions publish the id of the imposter only
+                const event = EVENT_CHANNELS.includes(channel) && (payload === null || typeof payload !== 'object') ?
+                    { imposterId: payload } : payload;
+                this._invalidateCache(channel, EVENT_CHANNELS.includes(channel) ? event.imposterId : payload);
+                callbackFn(event);
+            });
+            this._subscriptions.add(channel);
+            return res;
         } catch (e) {
             this._logger.error(e, 'SUBSCRIBE_ERROR');
         }
@@ -68,7 +458,8 @@ class ImposterStorage {
 
     async unsubscribe(channel) {
         try {
-            return await this.dbClient.unsubscribe(channel);
+            this._subscriptions.delete(channel);
+            return await this.dbClient.unsubscribe(this._channel(channel));
         } catch (e) {
             this._logger.error(e, 'UNSUBSCRIBE_ERROR');
         }
@@ -76,16 +467,52 @@ class ImposterStorage {
 
     async getAllImposters() {
         try {
-            return await this.dbClient.getAllObjects(ENTITIES.imposter) || [];
+            if (this._isCluster) {
+                return Object.values(await this._getAllImpostersById() || {});
+            }
+            return await this.dbClient.getAllObjects(this._key(ENTITIES.imposter)) || [];
         } catch (e) {
             this._logger.error(e, 'GET_ALL_IMPOSTERS_ERROR');
             return [];
         }
     }
 
+    /**
+     * Reads all the stored imposters
+     * @returns {Object} - the promise resolving to the imposters by id, or null on error
+     */
+    async _getAllImpostersById() {
+        if (!this._isCluster) {
+            return await this.dbClient.getAllObjectsById(this._key(ENTITIES.imposter));
+        }
+
+        const imposterIds = await this._getKeyGroups();
+        const imposters = await this._getObjectsByKey(ENTITIES.imposter, imposterIds.map(id => ({ imposterId: id, id })));
+        if (imposters === null) {
+            return null;
+        }
+
+        const impostersById = {};
+        imposterIds.forEach((id, index) => {
+            if (imposters[index]) {
+                impostersById[id] = imposters[index];
+            }
+        });
+        return impostersById;
+    }
+
     async getImposter(imposterId) {
         try {
-            const res = await this.dbClient.getObject(ENTITIES.imposter, imposterId);
+            const cached = this._isCacheLive() ? this._imposterCache.get(imposterId) : undefined;
+            if (cached) {
+                return cached;
+            }
+
+            const generation = this._cacheGeneration;
+            const res = await this.dbClient.getObject(this._key(ENTITIES.imposter, imposterId), imposterId);
+            if (res && this._isCacheLive() && generation === this._cacheGeneration) {
+                this._imposterCache.set(imposterId, res);
+            }
             return res;
         } catch (e) {
             this._logger.error(e, 'GET_IMPOSTER_ERROR');
@@ -93,26 +520,340 @@ class ImposterStorage {
         }
     }
 
-    async deleteImposter(imposterId) {
+    /**
+     * Reads several imposters in a single call, taking the cached ones from the cache
+     * @param {Array} imposterIds - the ids of the imposters
+     * @returns {Object} - the promise resolving to the imposters in the order of the ids, null for the missing ones
+     */
+    async getImposters(imposterIds) {
         try {
-            const imposter = await this.dbClient.getObject(ENTITIES.imposter, imposterId);
-            const stubIds = imposter.stubs.map(stub => stub.meta.id);
+            const isCacheLive = this._isCacheLive();
+            const imposters = imposterIds.map(id => (isCacheLive && this._imposterCache.get(id)) || null);
+            const missingIndexes = [];
+            imposters.forEach((imposter, index) => {
+                if (!imposter) {
+                    missingIndexes.push(index);
+                }
+            });
+
+            const generation = this._cacheGeneration;
+            const missingRefs = missingIndexes.map(index => ({ imposterId: imposterIds[index], id: imposterIds[index] }));
+            const stored = await this._getObjectsByKey(ENTITIES.imposter, missingRefs);
+            if (stored === null) {
+                throw new Error('GET_IMPOSTERS_ERROR, cannot read the imposters');
+            }
+
+            const isCacheable = this._isCacheLive() && generation === this._cacheGeneration;
+            missingIndexes.forEach((index, i) => {
+                imposters[index] = stored[i];
+                if (stored[i] && isCacheable) {
+                    this._imposterCache.set(imposterIds[index], stored[i]);
+                }
+            });
+            return imposters;
+        } catch (e) {
+            this._logger.error(e, 'GET_IMPOSTERS_ERROR');
+            return Promise.reject(e);
+        }
+    }
 
-            const deleteStubPromises = stubIds.map(stubId => this._deleteStub(imposterId, stubId));
-            await Promise.all(deleteStubPromises);
+    /**
+     * Deletes the imposter with all its data
+     * @param {String} imposterId - the id of the imposter
+     * @returns {Object} - the promise resolving to the new revision, or null if the imposter doesn't exist
+     */
+    async deleteImposter(imposterId) {
+        try {
+            const revision = await this._deleteImposterAndStubs(imposterId);
+            if (revision === null) {
+                return null;
+            }
 
-            const res = await this.dbClient.delObject(ENTITIES.imposter, imposterId);
+            this._invalidateCache(CHANNELS.imposter_delete, imposterId);
             this.deleteRequests(imposterId);
+            this.dbClient.delObject(this._key(ENTITIES.requestCounter, imposterId), imposterId);
+            this._deleteRetention(imposterId);
+            this.dbClient.delScore(this._key(ENTITIES.expiration), imposterId);
+            this._publishImposterEvent(CHANNELS.imposter_delete, imposterId, revision);
 
-            this.dbClient.publish(CHANNELS.imposter_delete, imposterId);
-
-            return res;
+            return revision;
         } catch (e) {
             this._logger.error(e, 'DELETE_IMPOSTER_ERROR');
             return null;
         }
     }
 
+    /**
+     * Deletes the imposter and its stubs in a transaction incrementing its revision,
+     * so that concurrent changes of the stubs never bring them back
+     * @param {String} imposterId - the id of the imposter
+     * @returns {Object} - the promise resolving to the new revision, or null if the imposter doesn't exist
+     */
+    async _deleteImposterAndStubs(imposterId) {
+        return await this.dbClient.transaction(this._revision(imposterId), async transaction => {
+            const imposter = await transaction.getObject(this._key(ENTITIES.imposter, imposterId), imposterId);
+            if (!imposter) {
+                return null;
+            }
+
+            await this._deleteStubs(imposterId, (imposter.stubs || []).map(stub => stub.meta.id), transaction);
+            await transaction.delObject(this._key(ENTITIES.imposter, imposterId), imposterId);
+            return transaction.version + 1;
+        });
+    }
+
+    /**
+     * Saves the retention limits of the imposter overriding the repository ones
+     * @param {Object} imposter - the imposter config with optional retention.requests and retention.matches limits
+     * @param {Object} client - the redis client or transaction to write with
+     * @returns {Object} - the promise
+     */
+    async _saveRetention(imposter, client = this.dbClient) {
+        const retention = imposter.retention || {};
+
+        const savePromises = LOGS.map(log => {
+            const field = [ imposter.port, log ].join(':');
+            if (retention[log]) {
+                return client.setObject(this._key(ENTITIES.retention, imposter.port), field, retention[log]);
+            }
+            return client.delObject(this._key(ENTITIES.retention, imposter.port), field);
+        });
+        await Promise.all(savePromises);
+    }
+
+    async _deleteRetention(imposterId) {
+        const deletePromises = LOGS.map(log => this.dbClient.delObject(this._key(ENTITIES.retention, imposterId), [ imposterId, log ].join(':')));
+        await Promise.all(deletePromises);
+    }
+
+    _retentionOverride(imposterId, log) {
+        return {
+            key: this._key(ENTITIES.retention, imposterId),
+            field: [ imposterId, log ].join(':'),
+        };
+    }
+
+    /**
+     * Schedules the expiration of the imposter if it has a time-to-live.
+     * The time-to-live is counted from the last save of the imposter.
+     * The schedule of all the imposters is in a single key, so it's saved once the imposter is.
+     * @param {Object} imposter - the imposter config with optional ttl in milliseconds
+     * @returns {Object} - the promise
+     */
+    async _saveExpiration(imposter) {
+        const ttl = imposter.ttl === undefined ? this._imposterTtl : imposter.ttl;
+
+        if (ttl > 0) {
+            await this.dbClient.setScore(this._key(ENTITIES.expiration), imposter.port, Date.now() + ttl);
+        } else {
+            await this.dbClient.delScore(this._key(ENTITIES.expiration), imposter.port);
+        }
+    }
+
+    /**
+     * Deletes the imposters whose time-to-live has passed.
+     * Each expired imposter is claimed by a single instance, which deletes its data and notifies the others.
+     * @returns {Object} - the promise resolving to the ids of the deleted imposters
+     */
+    async deleteExpiredImposters() {
+        try {
+            const expiredIds = await this.dbClient.getIdsByScore(this._key(ENTITIES.expiration), '-inf', Date.now());
+            const deletedIds = [];
+
+            for (const imposterId of expiredIds) {
+                const claimed = await this.dbClient.delScore(this._key(ENTITIES.expiration), imposterId);
+                if (claimed) {
+                    await this.deleteImposter(imposterId);
+                    deletedIds.push(imposterId);
+                }
+            }
+            return deletedIds;
+        } catch (e) {
+            this._logger.error(e, 'DELETE_EXPIRED_IMPOSTERS_ERROR');
+            return [];
+        }
+    }
+
+    /**
+     * Finds the data not reachable from any stored imposter, left behind by interrupted or failed writes and deletes,
+     * and deletes it unless it is a dry run.
+     * Candidates are listed before the imposters are read, so the data of imposters created or changed meanwhile
+     * is never collected. The stubs are written before the imposter referencing them, so the unreachable meta saved
+     * less than the grace period ago is kept with its responses, which are listed before the meta to find it.
+     * @param {Object} options - the options
+     * @param {Boolean} options.dryRun - if true, only reports the garbage
+     * @param {Number} options.gracePeriod - the time in milliseconds the unreachable stubs are kept after being saved
+     * @returns {Object} - the promise resolving to the ids of unreachable entries by entity
+     */
+    async collectGarbage(options = {}) {
+        const gracePeriod = options.gracePeriod === undefined ? DEFAULT_GARBAGE_GRACE_PERIOD : options.gracePeriod;
+        const imposterIds = await this._getKeyGroups();
+        const listIds = async(entity, listFn) => {
+            const lists = await Promise.all(imposterIds.map(async imposterId => {
+                const ids = await listFn(this._key(entity, imposterId));
+                return ids && ids.map(id => ({ imposterId, id }));
+            }));
+            return lists.includes(null) ? null : lists.flat();
+        };
+        const listObjectIds = entity => listIds(entity, key => this.dbClient.getObjectIds(key));
+        const listLogIds = entity => listIds(entity, key => this.dbClient.getLogIds(key));
+
+        const responseRefs = await listObjectIds(ENTITIES.response);
+        const [ metaRefs, matchRefs, requestRefs, requestCounterRefs, retentionRefs, expirationIds ] = await Promise.all([
+            listObjectIds(ENTITIES.meta),
+            listLogIds(ENTITIES.matchList),
+            listLogIds(ENTITIES.requestList),
+            listObjectIds(ENTITIES.requestCounter),
+            listObjectIds(ENTITIES.retention),
+            this.dbClient.getIdsByScore(this._key(ENTITIES.expiration), '-inf', '+inf'),
+        ]);
+        const imposters = await this._getAllImpostersById();
+        if ([ metaRefs, responseRefs, matchRefs, requestRefs, requestCounterRefs, retentionRefs, imposters ].includes(null)) {
+            throw new Error('COLLECT_GARBAGE_ERROR, cannot read the stored data');
+        }
+
+        const liveStubIds = new Set();
+        const liveMetaRefs = [];
+        Object.keys(imposters).forEach(imposterId => {
+            (imposters[imposterId].stubs || []).forEach(stub => {
+                liveStubIds.add(stub.meta.id);
+                liveMetaRefs.push({ imposterId, id: [ imposterId, stub.meta.id ].join(':') });
+            });
+        });
+        const liveMetaIds = new Set(liveMetaRefs.map(ref => ref.id));
+
+        const unreachableMetaRefs = metaRefs.filter(ref => !liveMetaIds.has(ref.id));
+        const [ metas, unreachableMetas ] = await Promise.all([
+            this._getObjectsByKey(ENTITIES.meta, liveMetaRefs),
+            this._getObjectsByKey(ENTITIES.meta, unreachableMetaRefs),
+        ]);
+        if (metas === null || unreachableMetas === null) {
+            throw new Error('COLLECT_GARBAGE_ERROR, cannot read the stored data');
+        }
+        const savedSince = Date.now() - gracePeriod;
+        const isRecent = meta => Boolean(meta && meta.savedAt) && Date.parse(meta.savedAt) > savedSince;
+        const recentMetaIds = new Set(unreachableMetaRefs.filter((ref, i) => isRecent(unreachableMetas[i])).map(ref => ref.id));
+        const liveResponseIds = new Set();
+        [ ...metas, ...unreachableMetas.filter(isRecent) ]
+            .forEach(meta => (meta ? meta.responseIds : []).forEach(id => liveResponseIds.add(id)));
+
+        const isDeadImposter = imposterId => !imposters[imposterId];
+        const garbageRefs = {
+            meta: unreachableMetaRefs.filter(ref => !recentMetaIds.has(ref.id)),
+            response: responseRefs.filter(ref => !liveResponseIds.has(ref.id)),
+            matches: matchRefs.filter(ref => !liveStubIds.has(ref.id)),
+            requests: requestRefs.filter(ref => isDeadImposter(ref.id)),
+            requestCounter: requestCounterRefs.filter(ref => isDeadImposter(ref.id)),
+            retention: retentionRefs.filter(ref => isDeadImposter(ref.id.split(':')[0])),
+        };
+        const garbage = {};
+        Object.keys(garbageRefs).forEach(entity => {
+            garbage[entity] = garbageRefs[entity].map(ref => ref.id);
+        });
+        garbage.expirations = expirationIds.filter(isDeadImposter);
+
+        const found = Object.keys(garbage).map(entity => `${ entity }: ${ garbage[entity].length }`).join(', ');
+        this._logger.info(`Garbage ${ options.dryRun ? 'found' : 'collected' }. ${ found }`);
+
+        if (!options.dryRun) {
+            const keyOf = (entity, ref) => this._key(entity, ref.imposterId);
+            await Promise.all([
+                ...garbageRefs.meta.map(ref => this.dbClient.delObject(keyOf(ENTITIES.meta, ref), ref.id)),
+                ...garbageRefs.response.map(ref => this.dbClient.delObject(keyOf(ENTITIES.response, ref), ref.id)),
+                ...garbageRefs.matches.map(ref => this.dbClient.delLog(keyOf(ENTITIES.matchList, ref), ref.id)),
+                ...garbageRefs.requests.map(ref => this.dbClient.delLog(keyOf(ENTITIES.requestList, ref), ref.id)),
+                ...garbageRefs.requestCounter.map(ref => this.dbClient.delObject(keyOf(ENTITIES.requestCounter, ref), ref.id)),
+                ...garbageRefs.retention.map(ref => this.dbClient.delObject(keyOf(ENTITIES.retention, ref), ref.id)),
+                ...garbage.expirations.map(id => this.dbClient.delScore(this._key(ENTITIES.expiration), id)),
+            ]);
+        }
+
+        return garbage;
+    }
+
+    /**
+     * Saves the node info and marks the node as alive until the time-to-live passes, unless it's refreshed
+     * @param {Object} node - the node info, with at least its id
+     * @returns {Object} - the promise
+     */
+    async refreshNode(node) {
+        try {
+            const lastHeartbeat = Date.now();
+            await this.dbClient.setObject(this._key(ENTITIES.nodeInfo), node.id, {
+                ...node,
+                lastHeartbeat: new Date(lastHeartbeat).toISOString(),
+            });
+            return await this.dbClient.setScore(this._key(ENTITIES.node), node.id, lastHeartbeat);
+        } catch (e) {
+            this._logger.error(e, 'REFRESH_NODE_ERROR');
+            return null;
+        }
+    }
+
+    async deleteNode(nodeId) {
+        try {
+            await this.dbClient.delScore(this._key(ENTITIES.node), nodeId);
+            return await this.dbClient.delObject(this._key(ENTITIES.nodeInfo), nodeId);
+        } catch (e) {
+            this._logger.error(e, 'DELETE_NODE_ERROR');
+            return null;
+        }
+    }
+
+    /**
+     * Removes the nodes not refreshed within the time-to-live.
+     * Each expired node is claimed by removing its score, so only one of the live nodes deletes it.
+     * @param {Number} nodeTtl - the time-to-live of the nodes in milliseconds
+     * @returns {Object} - the promise resolving to the ids of the nodes removed by this call
+     */
+    async deleteExpiredNodes(nodeTtl) {
+        try {
+            const expiredIds = await this.dbClient.getIdsByScore(this._key(ENTITIES.node), '-inf', `(${ Date.now() - nodeTtl }`);
+            const claims = await Promise.all(expiredIds.map(id => this.dbClient.delScore(this._key(ENTITIES.node), id)));
+            const claimedIds = expiredIds.filter((id, index) => claims[index] === 1);
+            await this.dbClient.delObjects(this._key(ENTITIES.nodeInfo), claimedIds);
+            return claimedIds;
+        } catch (e) {
+            this._logger.error(e, 'DELETE_EXPIRED_NODES_ERROR');
+            return [];
+        }
+    }
+
+    /**
+     * Returns the info of the nodes refreshed within the time-to-live
+     * @param {Number} nodeTtl - the time-to-live of the nodes in milliseconds
+     * @returns {Object} - the promise resolving to the nodes sorted by id
+     */
+    async getNodes(nodeTtl) {
+        try {
+            const nodeIds = await this.getLiveNodeIds(nodeTtl);
+            const nodes = await this.dbClient.getObjects(this._key(ENTITIES.nodeInfo), nodeIds);
+            return (nodes || []).filter(Boolean);
+        } catch (e) {
+            this._logger.error(e, 'GET_NODES_ERROR');
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * Returns the ids of the nodes refreshed within the time-to-live
+     * @param {Number} nodeTtl - the time-to-live of the nodes in milliseconds
+     * @returns {Object} - the promise resolving to the sorted ids
+     */
+    async getLiveNodeIds(nodeTtl) {
+        try {
+            const nodeIds = await this.dbClient.getIdsByScore(this._key(ENTITIES.node), Date.now() - nodeTtl, '+inf');
+            return nodeIds.sort();
+        } catch (e) {
+            this._logger.error(e, 'GET_LIVE_NODE_IDS_ERROR');
+            return [];
+        }
+    }
+
+    publishNodeChange(nodeId) {
+        return this.dbClient.publish(this._channel(CHANNELS.node_change), nodeId);
+    }
+
     async getStubs(imposterId) {
         const imposter = await this.getImposter(imposterId);
         if (!imposter || !Array.isArray(imposter.stubs)) {
@@ -124,14 +865,23 @@ class ImposterStorage {
 
     async deleteAllImposters() {
         try {
-            await this.dbClient.delAllObjects(ENTITIES.imposter);
-            await this.dbClient.delAllObjects(ENTITIES.matchList);
-            await this.dbClient.delAllObjects(ENTITIES.meta);
-            await this.dbClient.delAllObjects(ENTITIES.requestCounter);
-            await this.dbClient.delAllObjects(ENTITIES.requestList);
-            await this.dbClient.delAllObjects(ENTITIES.response);
-
-            this.dbClient.publish(CHANNELS.all_imposters_delete);
+            // deleted one by one first, so that the transactions in progress on them fail
+            const imposters = await this.getAllImposters();
+            await Promise.all(imposters.map(imposter => this._deleteImposterAndStubs(imposter.port)));
+
+            await Promise.all((await this._getKeyGroups()).map(async imposterId => {
+                await this.dbClient.delAllObjects(this._key(ENTITIES.imposter, imposterId));
+                await this.dbClient.delAllLogs(this._key(ENTITIES.matchList, imposterId));
+                await this.dbClient.delAllObjects(this._key(ENTITIES.meta, imposterId));
+                await this.dbClient.delAllObjects(this._key(ENTITIES.requestCounter, imposterId));
+                await this.dbClient.delAllLogs(this._key(ENTITIES.requestList, imposterId));
+                await this.dbClient.delAllObjects(this._key(ENTITIES.response, imposterId));
+                await this.dbClient.delAllObjects(this._key(ENTITIES.retention, imposterId));
+            }));
+            await this.dbClient.delAllObjects(this._key(ENTITIES.expiration));
+            this._clearCache();
+
+            this.dbClient.publish(this._channel(CHANNELS.all_imposters_delete));
         } catch (e) {
             this._logger.error(e, 'DELETE_ALL_IMPOSTERS_ERROR');
             return null;
@@ -140,7 +890,13 @@ class ImposterStorage {
 
     async addRequest(imposterId, request) {
         try {
-            return await this.dbClient.pushToObject(ENTITIES.requestList, imposterId, request);
+            return await this.dbClient.appendToLog(
+                this._key(ENTITIES.requestList, imposterId),
+                imposterId,
+                request,
+                this._retention.requests,
+                this._retentionOverride(imposterId, 'requests'),
+            );
         } catch (e) {
             this._logger.error(e, 'ADD_REQUEST_ERROR');
             return Promise.reject(e);
@@ -149,7 +905,7 @@ class ImposterStorage {
 
     async deleteRequests(imposterId) {
         try {
-            return await this.dbClient.delObject(ENTITIES.requestList, imposterId);
+            return await this.dbClient.delLog(this._key(ENTITIES.requestList, imposterId), imposterId);
         } catch (e) {
             this._logger.error(e, 'DELETE_REQUESTS_ERROR');
             return Promise.reject(e);
@@ -158,7 +914,7 @@ class ImposterStorage {
 
     async getRequests(imposterId) {
         try {
-            return await this.dbClient.getObject(ENTITIES.requestList, imposterId) || [];
+            return await this.dbClient.getLog(this._key(ENTITIES.requestList, imposterId), imposterId) || [];
         } catch (e) {
             this._logger.error(e, 'GET_REQUESTS_ERROR');
             return Promise.reject(e);
@@ -171,62 +927,104 @@ class ImposterStorage {
             return [];
         }
 
-        const responsePromises = meta.responseIds.map(responseId => this._getResponse(responseId));
-        return await Promise.all(responsePromises);
+        return await this._getResponses(meta.responseIds.map(id => ({ imposterId, id })));
     }
 
-    async _getResponse(responseId) {
-        try {
-            return await this.dbClient.getObject(ENTITIES.response, responseId);
-        } catch (e) {
-            this._logger.error(e, 'GET_RESPONSE_ERROR');
-            return Promise.reject(e);
+    /**
+     * Reads the responses and, for debugging, the matches of all the stubs of the imposters
+     * in a constant number of calls, whatever the number of stubs
+     * @param {Array} imposters - the imposters as stored
+     * @param {Object} options - the options
+     * @param {Boolean} options.debug - if true, includes the matches
+     * @returns {Object} - the promise resolving to the stubs of each imposter, with responses instead of meta
+     */
+    async getStubsJSON(imposters, options = {}) {
+        const stubs = [];
+        const metaRefs = [];
+        const matchRefs = [];
+        imposters.forEach(imposter => {
+            if (!Array.isArray(imposter.stubs)) {
+                imposter.stubs = [];
+            }
+            imposter.stubs.forEach(stub => {
+                stubs.push(stub);
+                metaRefs.push({ imposterId: imposter.port, id: [ imposter.port, stub.meta.id ].join(':') });
+                matchRefs.push({ imposterId: imposter.port, id: stub.meta.id });
+            });
+        });
+
+        const [ metas, matches ] = await Promise.all([
+            this._getObjectsByKey(ENTITIES.meta, metaRefs),
+            options.debug ? this._readByKey(ENTITIES.matchList, matchRefs, (key, ids) => this.dbClient.getLogs(key, ids)) : [],
+        ]);
+        if (metas === null || matches === null) {
+            throw new Error('GET_STUBS_JSON_ERROR, cannot read the stubs');
         }
-    }
 
-    async _saveResponse(response) {
-        const responseId = this._generateId(ENTITIES.response);
-        try {
-            await this.dbClient.setObject(ENTITIES.response, responseId, response);
-            return responseId;
-        } catch (e) {
-            this._logger.error(e, 'SAVE_RESPONSE_ERROR');
-            return Promise.reject(e);
-        }
-    }
+        const responseIdsOf = meta => (meta && meta.responseIds) || [];
+        const responseRefs = metas.flatMap((meta, index) => responseIdsOf(meta).map(id => ({ imposterId: metaRefs[index].imposterId, id })));
+        const responses = await this._getResponses(responseRefs);
+        const responsesById = {};
+        responseRefs.forEach((ref, index) => {
+            responsesById[ref.id] = responses[index];
+        });
+
+        stubs.forEach((stub, index) => {
+            stub.responses = responseIdsOf(metas[index]).map(responseId => responsesById[responseId]);
+            if (options.debug) {
+                stub.matches = matches[index];
+            }
+            delete stub.meta;
+        });
 
-    async deleteResponse(responseId) {
-        try {
-            return await this.dbClient.delObject(ENTITIES.response, responseId);
-        } catch (e) {
-            this._logger.error(e, 'DELETE_RESPONSE_ERROR');
-            return Promise.reject(e);
-        }
+        return imposters.map(imposter => imposter.stubs);
     }
 
-    async _deleteMeta(imposterId, stubId) {
+    /**
+     * Reads the responses with a single call, or a call per imposter in cluster mode.
+     * Responses never change once saved, so unlike imposters they are cached without invalidation.
+     * @param {Array} responseRefs - the imposterId and the id of every response
+     * @returns {Object} - the promise resolving to the responses in the order of the refs
+     */
+    async _getResponses(responseRefs) {
         try {
-            const res = await this.dbClient.delObject(ENTITIES.meta, [ imposterId, stubId ].join(':'));
-            return res;
+            const responses = responseRefs.map(ref => (this._responseCache && this._responseCache.get(ref.id)) || null);
+            const missingRefs = responseRefs.filter((ref, index) => !responses[index]);
+
+            const stored = await this._getObjectsByKey(ENTITIES.response, missingRefs);
+            if (stored === null) {
+                throw new Error('GET_RESPONSES_ERROR, cannot read the responses');
+            }
+
+            const storedById = {};
+            missingRefs.forEach((ref, index) => {
+                storedById[ref.id] = stored[index];
+                if (stored[index] && this._responseCache) {
+                    this._responseCache.set(ref.id, stored[index]);
+                }
+            });
+            return responses.map((response, index) => response || storedById[responseRefs[index].id]);
         } catch (e) {
-            this._logger.error(e, 'DELETE_META_ERROR');
+            this._logger.error(e, 'GET_RESPONSES_ERROR');
             return Promise.reject(e);
         }
     }
 
-    async _saveMeta(imposterId, stubId, meta) {
+    async deleteResponse(imposterId, responseId, client = this.dbClient) {
         try {
-            const res = await this.dbClient.setObject(ENTITIES.meta, [ imposterId, stubId ].join(':'), meta);
-            return res;
+            if (this._responseCache) {
+                this._responseCache.delete(responseId);
+            }
+            return await client.delObject(this._key(ENTITIES.response, imposterId), responseId);
         } catch (e) {
-            this._logger.error(e, 'SET_META_ERROR');
+            this._logger.error(e, 'DELETE_RESPONSE_ERROR');
             return Promise.reject(e);
         }
     }
 
-    async _getMeta(imposterId, stubId) {
+    async _getMeta(imposterId, stubId, client = this.dbClient) {
         try {
-            const res = await this.dbClient.getObject(ENTITIES.meta, [ imposterId, stubId ].join(':'));
+            const res = await client.getObject(this._key(ENTITIES.meta, imposterId), [ imposterId, stubId ].join(':'));
             return res;
         } catch (e) {
             this._logger.error(e, 'GET_META_ERROR');
@@ -234,28 +1032,33 @@ class ImposterStorage {
         }
     }
 
-    async addMatch(stubId, match) {
+    async addMatch(imposterId, stubId, match) {
         try {
-            return await this.dbClient.pushToObject(ENTITIES.matchList, stubId, match);
+            return await this.dbClient.appendToLog(
+                this._key(ENTITIES.matchList, imposterId),
+                stubId,
+                match,
+                this._retention.matches,
+                this._retentionOverride(imposterId, 'matches'),
+            );
         } catch (e) {
             this._logger.error(e, 'ADD_MATCH_ERROR');
             return Promise.reject(e);
         }
     }
 
-    async getMatches(stubId) {
-
+    async getMatches(imposterId, stubId) {
         try {
-            return await this.dbClient.getObject(ENTITIES.matchList, stubId);
+            return await this.dbClient.getLog(this._key(ENTITIES.matchList, imposterId), stubId) || [];
         } catch (e) {
             this._logger.error(e, 'GET_MATCHES_ERROR');
             return Promise.reject(e);
         }
     }
 
-    async deleteMatches(stubId) {
+    async deleteMatches(imposterId, stubId, client = this.dbClient) {
         try {
-            return await this.dbClient.delObject(ENTITIES.matchList, stubId);
+            return await client.delLog(this._key(ENTITIES.matchList, imposterId), stubId);
         } catch (e) {
             this._logger.error(e, 'DELETE_MATCHES_ERROR');
             return Promise.reject(e);
@@ -264,7 +1067,7 @@ class ImposterStorage {
 
     async getRequestCounter(imposterId) {
         try {
-            return await this.dbClient.getObject(ENTITIES.requestCounter, imposterId);
+            return await this.dbClient.getObject(this._key(ENTITIES.requestCounter, imposterId), imposterId);
         } catch (e) {
             this._logger.error(e, 'GET_REQUEST_COUNTER_ERROR');
             return Promise.reject(e);
@@ -273,8 +1076,8 @@ class ImposterStorage {
 
     async incrementRequestCounter(imposterId) {
         try {
-            await this.dbClient.incrementCounter(ENTITIES.requestCounter, imposterId);
-            const val = await this.dbClient.getObject(ENTITIES.requestCounter, imposterId);
+            await this.dbClient.incrementCounter(this._key(ENTITIES.requestCounter, imposterId), imposterId);
+            const val = await this.dbClient.getObject(this._key(ENTITIES.requestCounter, imposterId), imposterId);
             return val;
         } catch (e) {
             this._logger.error(e, 'INCREMENT_REQUEST_COUNTER_ERROR');
@@ -282,150 +1085,231 @@ class ImposterStorage {
         }
     }
 
-    async addStub(imposterId, stub, index) {
-        const imposter = await this.getImposter(imposterId);
-        if (!imposter) {
-            return;
-        }
-
-        const stubDefinition = await this.saveStubMetaAndResponses(imposterId, stub);
+    /**
+     * Changes the stubs of the imposter in an optimistic transaction,
+     * so concurrent changes from other instances are neither lost nor half-applied.
+     * The change increments the revision of the imposter and is published as a stub event,
+     * the imposter settings being unchanged.
+     * @param {String} imposterId - the id of the imposter
+     * @param {Function} updateFn - the function changing the stubs of the passed imposter through the passed transaction
+     * and resolving to the stub event to publish, with its type and details
+     * @param {Object} options - the options
+     * @param {Number} options.expectedRevision - if set, the stubs are changed only if the imposter is at this revision
+     * @returns {Object} - the promise resolving to the new revision, or null if the imposter doesn't exist,
+     * rejected with a resource conflict error if the imposter isn't at the expected revision
+     */
+    async _updateStubs(imposterId, updateFn, options = {}) {
+        const result = await this.dbClient.transaction(this._revision(imposterId), async transaction => {
+            const storedImposter = await transaction.getObject(this._key(ENTITIES.imposter, imposterId), imposterId);
+            if (!storedImposter) {
+                return null;
+            }
+            this._checkRevision(imposterId, options.expectedRevision, transaction.version);
+            if (!Array.isArray(storedImposter.stubs)) {
+                storedImposter.stubs = [];
+            }
 
-        if (!Array.isArray(imposter.stubs)) {
-            imposter.stubs = [];
-        }
+            const event = await updateFn(storedImposter, transaction);
+            await this._writeImposter(storedImposter, transaction);
+            return { event, imposter: storedImposter, revision: transaction.version + 1 };
+        });
 
-        if (index === undefined) {
-            imposter.stubs.push(stubDefinition);
-        } else {
-            imposter.stubs.splice(index, 0, stubDefinition);
+        if (!result) {
+            return null;
         }
-        await this.saveImposter(imposter);
+        await this._saveExpiration(result.imposter);
+        this._invalidateCache(CHANNELS.stub_change, imposterId);
+        this._publishImposterEvent(CHANNELS.stub_change, result.imposter.port, result.revision, {
+            type: result.event.type,
+            ...result.event.details,
+        });
+        return result.revision;
     }
 
-    async deleteStubAtIndex(imposterId, index) {
-        const imposter = await this.getImposter(imposterId);
-        if (!imposter) {
-            return;
-        }
-
-        if (!Array.isArray(imposter.stubs)) {
-            imposter.stubs = [];
-        }
-        if (typeof imposter.stubs[index] === 'undefined') {
-            throw errors.MissingResourceError(`no stub at index ${ index }`);
-        }
+    async addStub(imposterId, stub, index, options) {
+        const stubDefinition = await this.saveStubMetaAndResponses(imposterId, stub);
+        return await this._updateStubs(imposterId, async imposter => {
+            if (index === undefined) {
+                imposter.stubs.push(stubDefinition);
+            } else {
+                imposter.stubs.splice(index, 0, stubDefinition);
+            }
+            return { type: STUB_EVENTS.stubAdded, details: { index: imposter.stubs.indexOf(stubDefinition), stubId: stubDefinition.meta.id } };
+        }, options);
+    }
 
-        const deletedStub = imposter.stubs.splice(index, 1)[0];
+    async deleteStubAtIndex(imposterId, index, options) {
+        return await this._updateStubs(imposterId, async(imposter, transaction) => {
+            if (typeof imposter.stubs[index] === 'undefined') {
+                throw errors.MissingResourceError(`no stub at index ${ index }`);
+            }
 
-        await this._deleteStub(imposterId, deletedStub.meta.id);
+            const deletedStub = imposter.stubs.splice(index, 1)[0];
 
-        await this.saveImposter(imposter);
+            await this._deleteStubs(imposterId, [ deletedStub.meta.id ], transaction);
+            return { type: STUB_EVENTS.stubRemoved, details: { index, stubId: deletedStub.meta.id } };
+        }, options);
     }
 
-    async _deleteStub(imposterId, stubId) {
-        if (!stubId) {
-            return;
-        }
+    /**
+     * Replaces the stub at the index in a single transaction, so that the stub is never lost
+     * and no other change lands between the removal of the old stub and the insertion of the new one
+     * @param {String} imposterId - the id of the imposter
+     * @param {Object} stub - the new stub
+     * @param {Number} index - the index of the stub to replace
+     * @param {Object} options - the options, see _updateStubs
+     * @returns {Object} - the promise resolving to the new revision
+     */
+    async overwriteStubAtIndex(imposterId, stub, index, options) {
+        const stubDefinition = await this.saveStubMetaAndResponses(imposterId, stub);
+        return await this._updateStubs(imposterId, async(imposter, transaction) => {
+            if (typeof imposter.stubs[index] === 'undefined') {
+                throw errors.MissingResourceError(`no stub at index ${ index }`);
+            }
 
-        const meta = await this._getMeta(imposterId, stubId);
-        if (meta) {
-            const deleteResponsePromises = meta.responseIds.map(id => this.deleteResponse(id));
-            await Promise.all(deleteResponsePromises);
-            await this._deleteMeta(imposterId, stubId);
-        }
+            const [ replacedStub ] = imposter.stubs.splice(index, 1, stubDefinition);
 
-        await this.deleteMatches(stubId);
+            await this._deleteStubs(imposterId, [ replacedStub.meta.id ], transaction);
+            return { type: STUB_EVENTS.stubReplaced, details: { index, stubId: stubDefinition.meta.id } };
+        }, options);
     }
 
-    async overwriteAllStubs(imposterId, stubs = []) {
-        const imposter = await this.getImposter(imposterId);
-        if (!imposter) {
-            return;
+    /**
+     * Deletes the meta, responses and matches of the stubs with a constant number of calls
+     * @param {String} imposterId - the id of the imposter
+     * @param {Array} stubIds - the ids of the stubs
+     * @param {Object} client - the redis client or transaction to write with
+     * @returns {Object} - the promise
+     */
+    async _deleteStubs(imposterId, stubIds, client = this.dbClient) {
+        const metaIds = stubIds.filter(Boolean).map(stubId => [ imposterId, stubId ].join(':'));
+        const metas = await client.getObjects(this._key(ENTITIES.meta, imposterId), metaIds);
+        if (metas === null) {
+            throw new Error('DELETE_STUBS_ERROR, cannot read the stubs meta');
         }
+        const responseIds = metas.flatMap(meta => (meta && meta.responseIds) || []);
 
-        if (Array.isArray(imposter.stubs)) {
-            const deleteStubPromises = imposter.stubs.map(stub => this._deleteStub(imposterId, stub.meta.id));
-            await Promise.all(deleteStubPromises);
+        if (this._responseCache) {
+            responseIds.forEach(responseId => this._responseCache.delete(responseId));
         }
+        await client.delObjects(this._key(ENTITIES.response, imposterId), responseIds);
+        await client.delObjects(this._key(ENTITIES.meta, imposterId), metaIds);
+        await Promise.all(stubIds.filter(Boolean).map(stubId => this.deleteMatches(imposterId, stubId, client)));
+    }
 
-        const stubDefinitions = [];
-        for (let i = 0; i < stubs.length; i += 1) {
-            stubDefinitions.push(await this.saveStubMetaAndResponses(imposterId, stubs[i]));
-        }
+    async overwriteAllStubs(imposterId, stubs = [], options = {}) {
+        const startTime = Date.now();
+        const stubDefinitions = await this.saveStubs(imposterId, stubs);
+        const revision = await this._updateStubs(imposterId, async(imposter, transaction) => {
+            await this._deleteStubs(imposterId, imposter.stubs.map(stub => stub.meta.id), transaction);
+            imposter.stubs = stubDefinitions;
+            return { type: STUB_EVENTS.stubsReplaced, details: { count: imposter.stubs.length } };
+        }, options);
+        this.logSaveDuration(imposterId, stubs, startTime);
+        return revision;
+    }
 
-        imposter.stubs = stubDefinitions;
-        await this.saveImposter(imposter);
+    /**
+     * Logs how long saving the stubs took, as large recorded imposters may take a while
+     * @param {String} imposterId - the id of the imposter
+     * @param {Array} stubs - the saved stubs
+     * @param {Number} startTime - the time the save started at, in milliseconds
+     */
+    logSaveDuration(imposterId, stubs, startTime) {
+        const responseCount = stubs.reduce((sum, stub) => sum + ((stub && stub.responses) || []).length, 0);
+        this._logger.info(`Saved ${ stubs.length } stubs with ${ responseCount } responses of imposter ${ imposterId } ` +
+            `in ${ Date.now() - startTime } ms.`);
     }
 
     async addResponse(imposterId, stubId, response) {
+        const responseId = this._generateId(ENTITIES.response);
+        const revision = this._revision(imposterId);
+        const keys = [ this._key(ENTITIES.meta, imposterId), this._key(ENTITIES.response, imposterId), revision.key ];
+        const args = [ [ imposterId, stubId ].join(':'), responseId, JSON.stringify(response), repeatsFor(response), revision.field ];
 
-        const meta = await this._getMeta(imposterId, stubId);
-        if (!meta) {
+        const result = await this.dbClient.runScript('addResponse', keys, args);
+        if (!result) {
             return null;
         }
-
-        const responseId = await this._saveResponse(response);
-        const responseIndex = meta.responseIds.length;
-        meta.responseIds.push(responseId);
-        for (let repeats = 0; repeats < repeatsFor(response); repeats += 1) {
-            meta.orderWithRepeats.push(responseIndex);
-        }
-        await this._saveMeta(imposterId, stubId, meta);
-        return meta;
+        this._publishImposterEvent(CHANNELS.stub_change, imposterId, result[1], { type: STUB_EVENTS.responseAdded, stubId });
+        return JSON.parse(result[0]);
     }
 
     async getNextResponse(imposterId, stubId) {
-        const meta = await this._getMeta(imposterId, stubId);
+        const keys = [ this._key(ENTITIES.meta, imposterId), this._key(ENTITIES.response, imposterId) ];
+        const result = await this.dbClient.runScript('nextResponse', keys, [ [ imposterId, stubId ].join(':') ]);
 
-        if (!meta) {
+        if (!result || !result[0]) {
             throw new Error(`GET_NEXT_RESPONSE_ERROR, no meta for stubId ${ stubId }`);
         }
 
-        const maxIndex = meta.orderWithRepeats.length;
-        const responseIndex = meta.orderWithRepeats[meta.nextIndex % maxIndex];
-
-        const responseId = meta.responseIds[responseIndex];
-        meta.nextIndex = (meta.nextIndex + 1) % maxIndex;
-
-        await this._saveMeta(imposterId, stubId, meta);
-
-        const responseConfig = await this._getResponse(responseId);
-        return responseConfig;
+        return result[1] ? JSON.parse(result[1]) : null;
     }
 
     async saveStubMetaAndResponses(imposterId, stub) {
         if (!stub) {
             return;
         }
-        const stubId = this._generateId('stub');
-        const stubDefinition = {
-            meta: { id: stubId },
-        };
-        const meta = {
-            responseIds: [],
-            orderWithRepeats: [],
-            nextIndex: 0,
-        };
-        const responses = stub.responses || [];
-        if (stub.predicates) {
-            stubDefinition.predicates = stub.predicates;
-        }
+        const [ stubDefinition ] = await this.saveStubs(imposterId, [ stub ]);
+        return stubDefinition;
+    }
 
-        for (let i = 0; i < responses.length; i += 1) {
-            const responseId = await this._saveResponse(responses[i]);
+    /**
+     * Saves the meta and responses of the stubs in pipelined batches, whatever the number of stubs and responses.
+     * They are written before the imposter referencing them is saved, so that the transaction saving it stays small,
+     * and are unreachable until then: the meta is written first and stamped with the time it's saved at,
+     * so that the garbage collector leaves it and its responses alone for a grace period.
+     * @param {String} imposterId - the id of the imposter
+     * @param {Array} stubs - the stubs
+     * @returns {Object} - the promise resolving to the stub definitions to store in the imposter
+     */
+    async saveStubs(imposterId, stubs) {
+        const metas = {};
+        const responses = {};
+
+        const stubDefinitions = stubs.map(stub => {
+            const stubId = this._generateId('stub');
+            const stubDefinition = {
+                meta: { id: stubId },
+            };
+            const meta = {
+                responseIds: [],
+                orderWithRepeats: [],
+                nextIndex: 0,
+                savedAt: new Date().toISOString(),
+            };
+            if (stub.predicates) {
+                stubDefinition.predicates = stub.predicates;
+            }
 
-            meta.responseIds.push(responseId);
+            (stub.responses || []).forEach((response, i) => {
+                const responseId = this._generateId(ENTITIES.response);
+                responses[responseId] = response;
+                meta.responseIds.push(responseId);
 
-            for (let repeats = 0; repeats < repeatsFor(responses[i]); repeats += 1) {
-                meta.orderWithRepeats.push(i);
+                for (let repeats = 0; repeats < repeatsFor(response); repeats += 1) {
+                    meta.orderWithRepeats.push(i);
+                }
+            });
+            metas[[ imposterId, stubId ].join(':')] = meta;
+
+            return stubDefinition;
+        });
+
+        try {
+            if (await this.dbClient.setObjects(this._key(ENTITIES.meta, imposterId), metas) === null ||
+                await this.dbClient.setObjects(this._key(ENTITIES.response, imposterId), responses) === null) {
+                throw new Error('cannot write the stubs');
             }
+            return stubDefinitions;
+        } catch (e) {
+            this._logger.error(e, 'SAVE_STUBS_ERROR');
+            return Promise.reject(e);
         }
-        await this._saveMeta(imposterId, stubId, meta);
-
-        return stubDefinition;
     }
 }
 
 ImposterStorage.CHANNELS = CHANNELS;
+ImposterStorage.STUB_EVENTS = STUB_EVENTS;
 
 module.exports = ImposterStorage;
@@ -0,0 +1,156 @@
+'use strict';
+
+const ImposterStorage = require('./ImposterStorage');
+const createLogger = require('./testUtils/createLogger');
+
+const CLUSTER = {
+    nodes: [ { host: 'localhost', port: 6379 } ],
+    options: { lazyConnect: true },
+};
+
+function createStorage(config = {}) {
+    return new ImposterStorage({ lazyConnect: true }, createLogger(), config);
+}
+
+function hashTagsOf(keys) {
+    return [ ...new Set(keys.map(key => key.match(/^\{[^}]*\}/)[0])) ];
+}
+
+// stands in for the ioredis client, reading the passed hashes and recording the writes
+function createFakeClient(hashes = {}) {
+    const read = (key, field) => (hashes[key] && hashes[key][field]) || null;
+    return {
+        hget: jest.fn(async(key, field) => read(key, field)),
+        hmget: jest.fn(async(key, ...fields) => fields.map(field => read(key, field))),
+        hset: jest.fn(async() => 1),
+        zadd: jest.fn(async() => 1),
+        zrem: jest.fn(async() => 1),
+        publish: jest.fn(async() => 1),
+        execIfVersion: jest.fn(async() => 1),
+        appendToLog: jest.fn(async() => '1-0'),
+    };
+}
+
+function transactionKeys(client) {
+    return client.execIfVersion.mock.calls.map(([ count, ...args ]) => args.slice(0, count));
+}
+
+describe('ImposterStorage', () => {
+    describe('#_key', () => {
+        it('should prefix the key with the namespace if any', () => {
+            expect(createStorage()._key('imposter', 1)).toBe('imposter');
+            expect(createStorage({ namespace: 'ns' })._key('imposter', 1)).toBe('ns:imposter');
+            expect(createStorage({ namespace: 'ns' })._key('nodes')).toBe('ns:nodes');
+        });
+
+        it('should tag the keys of the data of an imposter with the imposter id in cluster mode', () => {
+            const storage = createStorage({ cluster: CLUSTER });
+
+            [ 'imposter', 'matches', 'meta', 'requestCounter', 'requests', 'response', 'retention', 'revisions' ].forEach(entity => {
+                expect(storage._key(entity, 1)).toBe(`{mountebank:1}:${ entity }`);
+            });
+            expect(createStorage({ cluster: CLUSTER, namespace: 'ns' })._key('meta', 1)).toBe('{ns:1}:meta');
+        });
+
+        it('should tag the keys shared by all imposters with the namespace only in cluster mode', () => {
+            const storage = createStorage({ cluster: CLUSTER });
+
+            [ 'events', 'expirations', 'imposterIds', 'nodes', 'nodeInfo', 'schema' ].forEach(entity => {
+                expect(storage._key(entity)).toBe(`{mountebank}:${ entity }`);
+            });
+            expect(storage._key('expirations', 1)).toBe('{mountebank}:expirations');
+            expect(createStorage({ cluster: CLUSTER, namespace: 'ns' })._key('nodes')).toBe('{ns}:nodes');
+        });
+    });
+
+    describe('#migrate', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should refuse to check the schema if its version cannot be read', async() => {
+            const storage = createStorage();
+            jest.spyOn(storage.dbClient, 'getObjects').mockResolvedValue(null);
+
+            await expect(storage.checkSchema()).rejects.toMatchObject({ message: expect.stringMatching(/Cannot read the schema version/) });
+        });
+
+        it('should give up waiting for the migration lock once it should have expired', async() => {
+            jest.useFakeTimers();
+            const storage = createStorage();
+            const acquireLock = jest.spyOn(storage.dbClient, 'acquireLock').mockResolvedValue(false);
+
+            const error = storage.migrate().catch(e => e);
+            await jest.advanceTimersByTimeAsync(60000);
+
+            expect(await error).toMatchObject({ message: expect.stringMatching(/Cannot acquire the migration lock/) });
+            expect(acquireLock.mock.calls.length).toBeGreaterThan(1);
+        });
+    });
+
+    describe('in cluster mode', () => {
+        let storage;
+
+        beforeEach(() => {
+            storage = createStorage({ cluster: CLUSTER });
+        });
+
+        it('should run the scripts on the keys of the imposter only', async() => {
+            const runScript = jest.spyOn(storage.dbClient, 'runScript').mockResolvedValue([ 1, null ]);
+            jest.spyOn(storage.dbClient, 'getClient').mockResolvedValue(createFakeClient());
+
+            await storage.getNextResponse(1, 'stub-1');
+            runScript.mockResolvedValue([ '{}', 2 ]);
+            await storage.addResponse(1, 'stub-1', { is: {} });
+
+            expect(runScript).toHaveBeenCalledTimes(2);
+            runScript.mock.calls.forEach(([ , keys ]) => expect(hashTagsOf(keys)).toEqual([ '{mountebank:1}' ]));
+        });
+
+        it('should save the imposter and its stubs on the keys of the imposter only', async() => {
+            const client = createFakeClient();
+            jest.spyOn(storage.dbClient, 'getClient').mockResolvedValue(client);
+
+            await storage.saveImposter({ port: 1 }, { stubs: [ { responses: [ { is: {} } ] } ] });
+
+            const [ keys ] = transactionKeys(client);
+            expect(keys).toEqual([ '{mountebank:1}:revisions', '{mountebank:1}:imposter', '{mountebank:1}:retention' ]);
+            expect(client.hset.mock.calls.map(([ key ]) => key)).toEqual([
+                '{mountebank}:imposterIds',
+                '{mountebank:1}:meta',
+                '{mountebank:1}:response',
+            ]);
+        });
+
+        it('should change the stubs in a transaction on the keys of the imposter only', async() => {
+            const client = createFakeClient({
+                '{mountebank:2}:imposter': { '2': JSON.stringify({ port: 2, stubs: [ { meta: { id: 'stub-1' } } ] }) },
+                '{mountebank:2}:meta': { '2:stub-1': JSON.stringify({ responseIds: [ 'response-1' ], orderWithRepeats: [ 0 ] }) },
+            });
+            jest.spyOn(storage.dbClient, 'getClient').mockResolvedValue(client);
+
+            await storage.deleteStubAtIndex(2, 0);
+
+            const [ keys ] = transactionKeys(client);
+            expect(keys).toEqual(expect.arrayContaining([
+                '{mountebank:2}:revisions',
+                '{mountebank:2}:imposter',
+                '{mountebank:2}:meta',
+                '{mountebank:2}:response',
+                '{mountebank:2}:matches:stub-1',
+            ]));
+            expect(hashTagsOf(keys)).toEqual([ '{mountebank:2}' ]);
+        });
+
+        it('should append to the logs on the keys of the imposter only', async() => {
+            const client = createFakeClient();
+            jest.spyOn(storage.dbClient, 'getClient').mockResolvedValue(client);
+
+            await storage.addRequest(1, { path: '/' });
+            await storage.addMatch(1, 'stub-1', { request: { path: '/' } });
+
+            expect(client.appendToLog).toHaveBeenCalledTimes(2);
+            client.appendToLog.mock.calls.forEach(args => expect(hashTagsOf(args.slice(0, 4))).toEqual([ '{mountebank:1}' ]));
+        });
+    });
+});
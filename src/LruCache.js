@@ -0,0 +1,50 @@
+'use strict';
+
+const clone = require('./clone');
+
+/**
+ * In-memory cache evicting the least recently used entries over the maximum size.
+ * Values are cloned on the way in and out, so callers are free to mutate them.
+ */
+class LruCache {
+    constructor(maxSize) {
+        this._maxSize = maxSize;
+        this._entries = new Map();
+    }
+
+    has(key) {
+        return this._entries.has(String(key));
+    }
+
+    get(key) {
+        const id = String(key);
+        if (!this._entries.has(id)) {
+            return undefined;
+        }
+
+        const value = this._entries.get(id);
+        this._entries.delete(id);
+        this._entries.set(id, value);
+        return clone(value);
+    }
+
+    set(key, value) {
+        const id = String(key);
+        this._entries.delete(id);
+        this._entries.set(id, clone(value));
+
+        if (this._entries.size > this._maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this._entries.delete(String(key));
+    }
+
+    clear() {
+        this._entries.clear();
+    }
+}
+
+module.exports = LruCache;
@@ -3,6 +3,7 @@ const { GenericContainer } = require('testcontainers');
 const RedisClient = require('./RedisClient');
 
 const createLogger = require('./testUtils/createLogger');
+const waitFor = require('./testUtils/waitFor');
 
 let client;
 let logger;
@@ -40,22 +41,71 @@ it('write and read object', async() => {
     return;
 });
 
-it('push to object', async() => {
+it('append to log and read it', async() => {
     const obj1 = {
         some: 'payload1',
     };
     const obj2 = {
         some: 'payload2',
     };
-    await client.pushToObject('some_lists', 123, obj1);
-    await client.pushToObject('some_lists', 123, obj2);
+    await client.appendToLog('some_logs', 123, obj1);
+    await client.appendToLog('some_logs', 123, obj2);
 
-    const res = await client.getObject('some_lists', 123);
+    const res = await client.getLog('some_logs', 123);
 
     expect(res).toStrictEqual([ obj1, obj2 ]);
     return;
 });
 
+it('read a range of log', async() => {
+    const firstId = await client.appendToLog('ranged_logs', 123, { some: 'payload1' });
+    await client.appendToLog('ranged_logs', 123, { some: 'payload2' });
+    await client.appendToLog('ranged_logs', 123, { some: 'payload3' });
+
+    const res = await client.getLog('ranged_logs', 123, `(${ firstId }`, '+', 1);
+
+    expect(res).toStrictEqual([ { some: 'payload2' } ]);
+    return;
+});
+
+it('read non-existing log', async() => {
+    const res = await client.getLog('some_logs', 'missing');
+
+    expect(res).toStrictEqual([]);
+    return;
+});
+
+it('read several logs at once', async() => {
+    await client.appendToLog('batch_logs', 123, { some: 'payload1' });
+    await client.appendToLog('batch_logs', 124, { some: 'payload2' });
+    await client.appendToLog('batch_logs', 124, { some: 'payload3' });
+
+    const res = await client.getLogs('batch_logs', [ 124, 'missing', 123 ]);
+
+    expect(res).toStrictEqual([ [ { some: 'payload2' }, { some: 'payload3' } ], [], [ { some: 'payload1' } ] ]);
+    return;
+});
+
+it('delete log', async() => {
+    await client.appendToLog('logs_to_del', 123, { some: 'payload1' });
+    await client.appendToLog('logs_to_del', 124, { some: 'payload2' });
+    await client.delLog('logs_to_del', 123);
+
+    expect(await client.getLog('logs_to_del', 123)).toStrictEqual([]);
+    expect(await client.getLog('logs_to_del', 124)).toStrictEqual([ { some: 'payload2' } ]);
+    return;
+});
+
+it('delete all logs', async() => {
+    await client.appendToLog('all_logs_to_del', 123, { some: 'payload1' });
+    await client.appendToLog('all_logs_to_del', 124, { some: 'payload2' });
+    await client.delAllLogs('all_logs_to_del');
+
+    expect(await client.getLog('all_logs_to_del', 123)).toStrictEqual([]);
+    expect(await client.getLog('all_logs_to_del', 124)).toStrictEqual([]);
+    return;
+});
+
 it('get all objects', async() => {
     const obj1 = {
         some: 'payload1',
@@ -91,6 +141,20 @@ it('delete object', async() => {
     return;
 });
 
+it('set and delete objects in batches', async() => {
+    const objects = {};
+    for (let i = 0; i < 1200; i += 1) {
+        objects[i] = { some: i };
+    }
+
+    expect(await client.setObjects('batch_entities', objects)).toBe(1200);
+    expect(await client.getObjects('batch_entities', [ 0, 1199 ])).toStrictEqual([ { some: 0 }, { some: 1199 } ]);
+
+    expect(await client.delObjects('batch_entities', Object.keys(objects).slice(1))).toBe(1199);
+    expect(await client.getAllObjects('batch_entities')).toStrictEqual([ { some: 0 } ]);
+    return;
+});
+
 it('read non-existing object', async() => {
     const res = await client.getObject('foobar', 123);
 
@@ -185,6 +249,41 @@ it('subscribe, unsubscribe and check that no message received then', () => {
     });
 });
 
+it('replay the stream events published while the subscriber was disconnected', async() => {
+    const streamClient = new RedisClient({
+        host: container.getHost(),
+        port: container.getMappedPort(REDIS_PORT),
+    }, logger, { events: { transport: 'stream', key: 'events' } });
+    const messages = [];
+    await streamClient.subscribe('channel_3', message => messages.push(message));
+    await streamClient._publish('channel_3', 'first', 'ANOTHER_CLIENT_ID');
+    await waitFor(() => messages.length === 1);
+
+    streamClient._subscriber.disconnect(true);
+    await streamClient._publish('channel_3', 'missed', 'ANOTHER_CLIENT_ID');
+    await waitFor(() => messages.length === 2);
+
+    expect(messages).toStrictEqual([ 'first', 'missed' ]);
+    await streamClient.stop();
+});
+
+it('release only the lock held by this client', async() => {
+    const otherClient = new RedisClient({
+        host: container.getHost(),
+        port: container.getMappedPort(REDIS_PORT),
+    }, logger);
+
+    expect(await client.acquireLock('some_lock', 10000)).toBe(true);
+    expect(await otherClient.acquireLock('some_lock', 10000)).toBe(false);
+    expect(await otherClient.releaseLock('some_lock')).toBe(0);
+    expect(await otherClient.acquireLock('some_lock', 10000)).toBe(false);
+
+    expect(await client.releaseLock('some_lock')).toBe(1);
+    expect(await otherClient.acquireLock('some_lock', 10000)).toBe(true);
+    await otherClient.releaseLock('some_lock');
+    await otherClient.stop();
+});
+
 it('stop client', async() => {
     await client.stop();
 
@@ -2,14 +2,163 @@
 
 const crypto = require('crypto');
 const Redis = require('ioredis');
+const errors = require('mountebank/src/util/errors');
+
+const scripts = require('./scripts');
+
+const MAX_TRANSACTION_ATTEMPTS = 10;
+const BATCH_SIZE = 500;
+const BATCH_CONCURRENCY = 4;
+const EVENTS_READ_COUNT = 100;
+const EVENTS_BLOCK_TIMEOUT = 5000;
+const EVENTS_RETRY_DELAY = 1000;
+const DEFAULT_EVENTS_MAX_LENGTH = 10000;
+
+/**
+ * Returns the keys used to store the log: the stream of entries,
+ * the set of ids of all logs of the type and the hash of log sizes in bytes
+ * @param {String} type - the type of the log
+ * @param {String} id - the id of the log
+ * @returns {Object}
+ */
+function logKeys(type, id) {
+    return {
+        entries: `${ type }:${ id }`,
+        ids: `${ type }:ids`,
+        sizes: `${ type }:bytes`,
+    };
+}
+
+/**
+ * Splits the items into batches of at most BATCH_SIZE items
+ * @param {Array} items - the items
+ * @returns {Array}
+ */
+function toBatches(items) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        batches.push(items.slice(i, i + BATCH_SIZE));
+    }
+    return batches;
+}
+
+/**
+ * Returns the HSET arguments storing the objects as json by id
+ * @param {Array} ids - the ids of the objects
+ * @param {Object} objects - the objects by id
+ * @returns {Array}
+ */
+function hsetArgs(ids, objects) {
+    return ids.flatMap(id => [ id, JSON.stringify(objects[id]) ]);
+}
+
+/**
+ * Calls the function for every batch with no more than BATCH_CONCURRENCY calls in flight
+ * @param {Array} batches - the batches
+ * @param {Function} fn - the function returning a promise
+ * @returns {Object} - the promise resolving to the results in the order of the batches
+ */
+async function forEachBatch(batches, fn) {
+    const results = [];
+    let next = 0;
+    const workers = Array.from({ length: Math.min(BATCH_CONCURRENCY, batches.length) }, async() => {
+        while (next < batches.length) {
+            const index = next;
+            next += 1;
+            results[index] = await fn(batches[index]);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Compares two stream entry ids
+ * @param {String} a - the first id, e.g. 1526919030474-55
+ * @param {String} b - the second id
+ * @returns {Number} - negative, zero or positive as a is before, equal to or after b
+ */
+function compareEventIds(a, b) {
+    const [ aTime, aSequence ] = a.split('-').map(Number);
+    const [ bTime, bSequence ] = b.split('-').map(Number);
+    return aTime - bTime || aSequence - bSequence;
+}
+
+/**
+ * Reads through the connection and queues writes to be executed atomically
+ * if the version the transaction depends on hasn't changed since it was read
+ */
+class Transaction {
+    constructor(client, version) {
+        this._client = client;
+        this.version = version;
+        this.commands = [];
+    }
+
+    async getObject(type, id) {
+        const json = await this._client.hget(type, String(id));
+        return JSON.parse(json);
+    }
+
+    async getObjects(type, ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+        const list = await this._client.hmget(type, ...ids.map(String));
+        return list.map(item => JSON.parse(item));
+    }
+
+    async setObject(type, id, obj) {
+        this.commands.push([ 'hset', type, String(id), JSON.stringify(obj) ]);
+    }
+
+    async delObject(type, id) {
+        this.commands.push([ 'hdel', type, String(id) ]);
+    }
+
+    async delObjects(type, ids) {
+        toBatches(ids.map(String)).forEach(batch => this.commands.push([ 'hdel', type, ...batch ]));
+    }
+
+    async delLog(type, id) {
+        const keys = logKeys(type, id);
+        this.commands.push(
+            [ 'del', keys.entries ],
+            [ 'srem', keys.ids, String(id) ],
+            [ 'hdel', keys.sizes, String(id) ],
+        );
+    }
+
+    async setScore(type, id, score) {
+        this.commands.push([ 'zadd', type, score, String(id) ]);
+    }
+
+    async delScore(type, id) {
+        this.commands.push([ 'zrem', type, String(id) ]);
+    }
+}
 
 class RedisClient {
-    constructor(options = {}, logger) {
+    /**
+     * @param {Object} options - the ioredis options, applied to every node in cluster mode
+     * @param {Object} logger - the logger
+     * @param {Object} config - the connection config
+     * @param {Object} config.cluster - if set, connects to the Redis Cluster with the startup nodes and the cluster options
+     * @param {Object} config.sentinel - if set, connects to the master found by the sentinels and follows its failovers
+     * @param {Object} config.events - if its transport is stream, events are appended to the stream at its key
+     * and read back from the last processed one, instead of being published through pub/sub
+     */
+    constructor(options = {}, logger, config = {}) {
         this._clientId = crypto.randomBytes(16).toString('base64');
         this._logger = logger.child({ _context: 'redis_client' });
         this._isStopped = false;
+        this._options = options;
+        this._cluster = config.cluster;
+        this._sentinel = config.sentinel;
+        this._events = config.events && config.events.transport === 'stream' ? config.events : null;
 
-        this._client = new Redis(options);
+        this._client = this._createConnection();
+        Object.keys(scripts).forEach(name => this._client.defineCommand(name, scripts[name]));
         this._client.on('error', err => this._logger.error(err, 'CLIENT_ERROR'));
         this._client.on('connect', () => {
             this._logger.info('Connected to redis.');
@@ -19,8 +168,23 @@ class RedisClient {
             this._logger.info(`Reconnecting to redis in ${ ms }.`);
         });
 
-        this._subscriber = new Redis(options);
+        this._transactionQueues = {};
+
+        this._subscriber = this._createConnection();
         this._pubSubCallbacks = {};
+        this._resubscribeCallbacks = [];
+        this._subscriberWasReady = false;
+        this._subscriber.on('ready', () => {
+            if (this._subscriberWasReady && this._events) {
+                this._logger.info('Subscriber reconnected to redis, replaying the missed events.');
+                this._eventsCaughtUp = false;
+                this._checkEventsGap = true;
+            } else if (this._subscriberWasReady) {
+                this._logger.info('Subscriber reconnected to redis.');
+                this._resubscribeCallbacks.forEach(callbackFn => callbackFn());
+            }
+            this._subscriberWasReady = true;
+        });
         this._subscriber.on('error', err => this._logger.error(err, 'SUBSCRIBER_ERROR'));
         this._subscriber.on('message', (channel, message) => {
             if (typeof this._pubSubCallbacks[channel] === 'function') {
@@ -28,6 +192,32 @@ class RedisClient {
             }
         });
 
+        this._eventReader = null;
+        this._lastEventId = null;
+        this._eventsCaughtUp = true;
+        this._checkEventsGap = false;
+    }
+
+    _createConnection() {
+        if (this._cluster) {
+            return new Redis.Cluster(this._cluster.nodes, {
+                ...this._cluster.options,
+                redisOptions: this._options,
+            });
+        }
+        if (this._sentinel) {
+            return new Redis({
+                // a former master demoted to replica keeps the connection open, but refuses writes
+                reconnectOnError: err => err.message.startsWith('READONLY'),
+                ...this._options,
+                sentinels: this._sentinel.sentinels,
+                name: this._sentinel.name,
+                sentinelUsername: this._sentinel.username,
+                sentinelPassword: this._sentinel.password,
+                role: 'master',
+            });
+        }
+        return new Redis(this._options);
     }
 
     async setObject(type, id, obj) {
@@ -41,18 +231,135 @@ class RedisClient {
         }
     }
 
-    async pushToObject(type, id, obj) {
+    /**
+     * Stores the objects in batches, several batches being sent at once
+     * @param {String} type - the type of the objects
+     * @param {Object} objects - the objects by id
+     * @returns {Object} - the promise resolving to the number of new objects
+     */
+    async setObjects(type, objects) {
         try {
             const client = await this.getClient();
+            const counts = await forEachBatch(toBatches(Object.keys(objects)), ids => client.hset(type, ...hsetArgs(ids, objects)));
+            return counts.reduce((sum, count) => sum + count, 0);
+        } catch (e) {
+            this._logger.error(e, 'SET_OBJECTS_ERROR');
+            return null;
+        }
+    }
 
-            const itemsString = await client.hget(type, String(id)) || '[]';
-            const items = JSON.parse(itemsString);
-            items.push(obj);
-            const json = JSON.stringify(items);
+    /**
+     * Appends the object to the end of the log stored in a stream, evicting the oldest entries over the limits.
+     * Ids of all logs of the type are kept in a set to be able to delete them without scanning.
+     * @param {String} type - the type of the log
+     * @param {String} id - the id of the log
+     * @param {Object} obj - the entry to append
+     * @param {Object} limits - the retention limits
+     * @param {Number} limits.maxCount - the maximum number of entries
+     * @param {Number} limits.maxAge - the maximum age of entries in milliseconds
+     * @param {Number} limits.maxBytes - the maximum total size of entries
+     * @param {Object} limitsOverride - the hash field with limits overriding the passed ones
+     * @param {String} limitsOverride.key - the key of the hash
+     * @param {String} limitsOverride.field - the field of the hash
+     * @returns {Object} - the promise resolving to the id of the entry
+     */
+    async appendToLog(type, id, obj, limits = {}, limitsOverride = {}) {
+        try {
+            const client = await this.getClient();
+            const { entries, ids, sizes } = logKeys(type, id);
+            const keys = [ entries, ids, sizes, limitsOverride.key || `${ type }:limits` ];
+            const args = [
+                String(id),
+                JSON.stringify(obj),
+                limits.maxCount || 0,
+                limits.maxAge || 0,
+                limits.maxBytes || 0,
+                limitsOverride.field || '',
+            ];
+            return await client.appendToLog(...keys, ...args);
+        } catch (e) {
+            this._logger.error(e, 'APPEND_TO_LOG_ERROR');
+            return null;
+        }
+    }
 
-            return await client.hset(type, String(id), json);
+    /**
+     * Returns the entries of the log in the order they were appended
+     * @param {String} type - the type of the log
+     * @param {String} id - the id of the log
+     * @param {String} start - the id of the first entry to read, '-' for the oldest one
+     * @param {String} end - the id of the last entry to read, '+' for the newest one
+     * @param {Number} count - the maximum number of entries to read
+     * @returns {Object} - the promise resolving to the array of entries
+     */
+    async getLog(type, id, start = '-', end = '+', count) {
+        try {
+            const client = await this.getClient();
+            const args = count === undefined ? [] : [ 'COUNT', count ];
+            const entries = await client.xrange(logKeys(type, id).entries, start, end, ...args);
+            return entries.map(([ , fields ]) => JSON.parse(fields[1]));
+        } catch (e) {
+            this._logger.error(e, 'GET_LOG_ERROR');
+            return null;
+        }
+    }
+
+    /**
+     * Reads the entries of several logs in a single pipeline
+     * @param {String} type - the log type
+     * @param {Array} ids - the log ids
+     * @returns {Object} - the promise resolving to the lists of entries in the order of the ids
+     */
+    async getLogs(type, ids) {
+        try {
+            if (ids.length === 0) {
+                return [];
+            }
+            const client = await this.getClient();
+            const pipeline = client.pipeline();
+            ids.forEach(id => pipeline.xrange(logKeys(type, id).entries, '-', '+'));
+            const lists = await this._exec(pipeline);
+            return lists.map(entries => entries.map(([ , fields ]) => JSON.parse(fields[1])));
+        } catch (e) {
+            this._logger.error(e, 'GET_LOGS_ERROR');
+            return null;
+        }
+    }
+
+    async getLogIds(type) {
+        try {
+            const client = await this.getClient();
+            return await client.smembers(logKeys(type).ids);
+        } catch (e) {
+            this._logger.error(e, 'GET_LOG_IDS_ERROR');
+            return null;
+        }
+    }
+
+    async delLog(type, id) {
+        try {
+            const client = await this.getClient();
+            const keys = logKeys(type, id);
+            const [ res ] = await this._exec(client.multi()
+                .del(keys.entries)
+                .srem(keys.ids, String(id))
+                .hdel(keys.sizes, String(id)));
+            return res;
         } catch (e) {
-            this._logger.error(e, 'PUSH_TO_OBJECT_ERROR');
+            this._logger.error(e, 'DEL_LOG_ERROR');
+            return 0;
+        }
+    }
+
+    async delAllLogs(type) {
+        try {
+            const client = await this.getClient();
+            const { ids, sizes } = logKeys(type);
+            const keys = (await client.smembers(ids)).map(id => logKeys(type, id).entries);
+            keys.push(ids, sizes);
+            return await client.del(...keys);
+        } catch (e) {
+            this._logger.error(e, 'DEL_ALL_LOGS_ERROR');
             return null;
         }
     }
@@ -79,6 +386,45 @@ class RedisClient {
         }
     }
 
+    async getObjects(type, ids) {
+        try {
+            if (ids.length === 0) {
+                return [];
+            }
+            const client = await this.getClient();
+            const list = await client.hmget(type, ...ids.map(String));
+            return list.map(item => JSON.parse(item));
+        } catch (e) {
+            this._logger.error(e, 'GET_OBJECTS_ERROR');
+            return null;
+        }
+    }
+
+    async getAllObjectsById(type) {
+        try {
+            const client = await this.getClient();
+            const hash = await client.hgetall(type);
+            const objects = {};
+            Object.keys(hash).forEach(id => {
+                objects[id] = JSON.parse(hash[id]);
+            });
+            return objects;
+        } catch (e) {
+            this._logger.error(e, 'GET_ALL_OBJECTS_BY_ID_ERROR');
+            return null;
+        }
+    }
+
+    async getObjectIds(type) {
+        try {
+            const client = await this.getClient();
+            return await client.hkeys(type);
+        } catch (e) {
+            this._logger.error(e, 'GET_OBJECT_IDS_ERROR');
+            return null;
+        }
+    }
+
     async delObject(type, id) {
         try {
             const client = await this.getClient();
@@ -89,6 +435,17 @@ class RedisClient {
         }
     }
 
+    async delObjects(type, ids) {
+        try {
+            const client = await this.getClient();
+            const counts = await forEachBatch(toBatches(ids.map(String)), batch => client.hdel(type, ...batch));
+            return counts.reduce((sum, count) => sum + count, 0);
+        } catch (e) {
+            this._logger.error(e, 'DEL_OBJECTS_ERROR');
+            return 0;
+        }
+    }
+
     async delAllObjects(type) {
         try {
             const client = await this.getClient();
@@ -100,6 +457,36 @@ class RedisClient {
         }
     }
 
+    async setScore(type, id, score) {
+        try {
+            const client = await this.getClient();
+            return await client.zadd(type, score, String(id));
+        } catch (e) {
+            this._logger.error(e, 'SET_SCORE_ERROR');
+            return null;
+        }
+    }
+
+    async getIdsByScore(type, min, max) {
+        try {
+            const client = await this.getClient();
+            return await client.zrangebyscore(type, min, max);
+        } catch (e) {
+            this._logger.error(e, 'GET_IDS_BY_SCORE_ERROR');
+            return [];
+        }
+    }
+
+    async delScore(type, id) {
+        try {
+            const client = await this.getClient();
+            return await client.zrem(type, String(id));
+        } catch (e) {
+            this._logger.error(e, 'DEL_SCORE_ERROR');
+            return 0;
+        }
+    }
+
     async incrementCounter(type, id) {
         try {
             const client = await this.getClient();
@@ -133,6 +520,115 @@ class RedisClient {
         }
     }
 
+    async runScript(name, keys, args) {
+        try {
+            const client = await this.getClient();
+            return await client[name](...keys, ...args);
+        } catch (e) {
+            this._logger.error(e, 'RUN_SCRIPT_ERROR');
+            return null;
+        }
+    }
+
+    /**
+     * Executes the pipeline or transaction and rejects with the first failed command error
+     * @param {Object} pipeline - ioredis pipeline or multi
+     * @returns {Object} - the promise resolving to the array of results
+     */
+    async _exec(pipeline) {
+        const results = await pipeline.exec();
+        const failed = results.find(([ err ]) => err);
+        if (failed) {
+            throw failed[0];
+        }
+        return results.map(([ , res ]) => res);
+    }
+
+    /**
+     * Sets the lock if nobody holds it
+     * @param {String} key - the key of the lock
+     * @param {Number} ttl - the time in milliseconds after which the lock is released anyway
+     * @returns {Object} - the promise resolving to true if the lock is acquired
+     */
+    async acquireLock(key, ttl) {
+        try {
+            const client = await this.getClient();
+            const res = await client.set(key, this._clientId, 'PX', ttl, 'NX');
+            return res === 'OK';
+        } catch (e) {
+            this._logger.error(e, 'ACQUIRE_LOCK_ERROR');
+            return false;
+        }
+    }
+
+    /**
+     * Releases the lock if this client still holds it
+     * @param {String} key - the key of the lock
+     * @returns {Object} - the promise resolving to 1 if the lock is released
+     */
+    async releaseLock(key) {
+        try {
+            const client = await this.getClient();
+            return await client.compareAndDelete(key, this._clientId);
+        } catch (e) {
+            this._logger.error(e, 'RELEASE_LOCK_ERROR');
+            return 0;
+        }
+    }
+
+    /**
+     * Runs the function as an optimistic transaction guarded by a version counter.
+     * The function reads through the passed transaction and queues writes on it,
+     * the writes are applied atomically by a script only if the version hasn't changed meanwhile,
+     * incrementing it, otherwise the function is run again.
+     * Only the transactions guarded by the same version can conflict, the others run concurrently,
+     * and the ones of this client guarded by the same version run one after the other, so they never conflict.
+     * @param {Object} version - the hash field counting the changes of the data the transaction depends on,
+     * which every change of this data must increment
+     * @param {String} version.key - the key of the hash
+     * @param {String} version.field - the field of the hash
+     * @param {Function} fn - the function receiving the transaction, with the version read as its version property
+     * @returns {Object} - the promise resolving to the result of the function
+     */
+    async transaction(version, fn) {
+        const name = `${ version.key } ${ version.field }`;
+        const result = (this._transactionQueues[name] || Promise.resolve()).then(() => this._runTransaction(version, fn));
+        const queued = result.catch(() => {}).finally(() => {
+            if (this._transactionQueues[name] === queued) {
+                delete this._transactionQueues[name];
+            }
+        });
+        this._transactionQueues[name] = queued;
+        return result;
+    }
+
+    async _runTransaction(version, fn) {
+        const client = await this.getClient();
+
+        for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt += 1) {
+            const transaction = new Transaction(client, Number(await client.hget(version.key, String(version.field))) || 0);
+            const result = await fn(transaction);
+            if (transaction.commands.length === 0) {
+                return result;
+            }
+
+            const keys = [ version.key ];
+            const commands = transaction.commands.map(([ name, key, ...args ]) => {
+                if (!keys.includes(key)) {
+                    keys.push(key);
+                }
+                return [ name, keys.indexOf(key) + 1, ...args.map(String) ];
+            });
+            const args = [ String(version.field), String(transaction.version), JSON.stringify(commands) ];
+            if (await client.execIfVersion(keys.length, ...keys, ...args) !== null) {
+                return result;
+            }
+            this._logger.warn(`Transaction conflict on ${ version.key } ${ version.field }, attempt ${ attempt }`);
+        }
+
+        throw errors.ResourceConflictError(`Concurrent modification of ${ version.key } ${ version.field }, try again later`);
+    }
+
     // Pass clientId for testing purpose only
     async _publish(channel, payload, clientId) {
         try {
@@ -141,6 +637,11 @@ class RedisClient {
                 _clientId: clientId,
                 payload,
             };
+            if (this._events) {
+                const maxLength = this._events.maxLength || DEFAULT_EVENTS_MAX_LENGTH;
+                return await client.xadd(this._events.key, 'MAXLEN', '~', maxLength, '*',
+                    'channel', channel, 'message', JSON.stringify(data));
+            }
             const res = await client.publish(channel, JSON.stringify(data));
             return res;
         } catch (e) {
@@ -155,6 +656,10 @@ class RedisClient {
 
     async subscribe(channel, callbackFn) {
         try {
+            if (this._events) {
+                await this._subscribeToEvents(channel, callbackFn);
+                return;
+            }
             const client = await this.getPubSubClient();
             await client.subscribe(channel);
 
@@ -168,6 +673,9 @@ class RedisClient {
     async unsubscribe(channel) {
         try {
             delete this._pubSubCallbacks[channel];
+            if (this._events) {
+                return 1;
+            }
             const client = await this.getPubSubClient();
             const res = await client.unsubscribe(channel);
             return res;
@@ -177,6 +685,100 @@ class RedisClient {
         }
     }
 
+    /**
+     * Registers the callback of the channel and starts reading the events stream from its current end,
+     * unless it's already read
+     * @param {String} channel - the channel
+     * @param {Function} callbackFn - the callback
+     * @returns {Object} - the promise
+     */
+    async _subscribeToEvents(channel, callbackFn) {
+        const client = await this.getClient();
+        if (Object.keys(this._pubSubCallbacks).length === 0) {
+            const [ lastEntry ] = await client.xrevrange(this._events.key, '+', '-', 'COUNT', 1);
+            this._lastEventId = lastEntry ? lastEntry[0] : '0-0';
+        }
+        this._pubSubCallbacks[channel] = this.wrapCallbackFn(callbackFn);
+
+        if (!this._eventReader) {
+            this._eventReader = this._readEvents().finally(() => {
+                this._eventReader = null;
+            });
+        }
+    }
+
+    /**
+     * Reads the events stream with the subscriber connection while any channel is subscribed,
+     * passing the events to the callbacks of their channels in order.
+     * The id of the last processed event is kept, so that the events appended while the subscriber
+     * is disconnected are read after it connects again.
+     * @returns {Object} - the promise resolved when no channel is subscribed any more or the client stops
+     */
+    async _readEvents() {
+        while (!this._isStopped && Object.keys(this._pubSubCallbacks).length > 0) {
+            const fromId = this._lastEventId;
+            try {
+                const result = await this._subscriber.xread('COUNT', EVENTS_READ_COUNT, 'BLOCK', EVENTS_BLOCK_TIMEOUT,
+                    'STREAMS', this._events.key, fromId);
+                const entries = result ? result[0][1] : [];
+                const hasGap = this._checkEventsGap && await this._hasEventsGap(fromId);
+                this._checkEventsGap = false;
+
+                entries.forEach(([ id, fields ]) => this._dispatchEvent(id, fields));
+                this._eventsCaughtUp = entries.length < EVENTS_READ_COUNT;
+                if (hasGap) {
+                    this._logger.warn(`Events after ${ fromId } have been trimmed from the stream before being read`);
+                    this._resubscribeCallbacks.forEach(callbackFn => callbackFn());
+                }
+            } catch (e) {
+                if (!this._isStopped) {
+                    this._logger.error(e, 'READ_EVENTS_ERROR');
+                    await new Promise(resolve => setTimeout(resolve, EVENTS_RETRY_DELAY));
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns whether events following the id may have been trimmed from the stream,
+     * that is whether the first event kept is after it
+     * @param {String} id - the id of the last processed event
+     * @returns {Object} - the promise resolving to a boolean
+     */
+    async _hasEventsGap(id) {
+        const [ firstEntry ] = await this._client.xrange(this._events.key, '-', '+', 'COUNT', 1);
+        return Boolean(firstEntry) && compareEventIds(firstEntry[0], id) > 0;
+    }
+
+    _dispatchEvent(id, fields) {
+        this._lastEventId = id;
+        const event = {};
+        for (let i = 0; i < fields.length; i += 2) {
+            event[fields[i]] = fields[i + 1];
+        }
+        if (typeof this._pubSubCallbacks[event.channel] === 'function') {
+            this._pubSubCallbacks[event.channel](event.message);
+        }
+    }
+
+    /**
+     * Registers a function called when the subscriber connects again after a disconnection or a failover
+     * and its channels are subscribed again, as the messages published meanwhile are lost.
+     * With the stream transport, it's only called if the missed events can't be replayed.
+     * @param {Function} callbackFn - the function
+     */
+    onResubscribe(callbackFn) {
+        this._resubscribeCallbacks.push(callbackFn);
+    }
+
+    /**
+     * Returns whether the subscriber is connected and, with the stream transport, has read the events missed meanwhile
+     * @returns {Boolean}
+     */
+    isSubscriberReady() {
+        return this._subscriber.status === 'ready' && this._eventsCaughtUp;
+    }
+
     wrapCallbackFn(callbackFn) {
         return message => {
             try {
@@ -228,8 +830,14 @@ class RedisClient {
                 return;
             }
             this._isStopped = true;
+            this._subscriberWasReady = false;
             await this._client.quit();
-            await this._subscriber.quit();
+            if (this._events) {
+                // quitting would wait for the blocking read of the events to time out
+                this._subscriber.disconnect();
+            } else {
+                await this._subscriber.quit();
+            }
 
             // wait next tick to fix bug with  connection just after disconnection
             return new Promise(resolve => setTimeout(resolve, 0));
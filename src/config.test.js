@@ -0,0 +1,52 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getRedisRepoConfig } = require('./config');
+
+describe('config', () => {
+    const configPath = path.join(os.tmpdir(), `mb-redis-config-${ process.pid }.json`);
+
+    function readConfig(text, env) {
+        fs.writeFileSync(configPath, text);
+        return getRedisRepoConfig({ impostersRepositoryConfig: configPath }, env);
+    }
+
+    afterEach(() => {
+        if (fs.existsSync(configPath)) {
+            fs.unlinkSync(configPath);
+        }
+    });
+
+    describe('environment variables', () => {
+        it('should keep the quotes and backslashes of the values of the variables in strings', () => {
+            const config = readConfig(`{
+                "namespace": "$$\${NAMESPACE:-default}",
+                "redisOptions": { "username": "\${REDIS_USERNAME}", "password": "\${REDIS_PASSWORD}" }
+            }`, { REDIS_USERNAME: 'mountebank', REDIS_PASSWORD: 'pa"ss\\word}' });
+
+            expect(config.namespace).toBe('$default');
+            expect(config.redisOptions).toEqual({ username: 'mountebank', password: 'pa"ss\\word}' });
+        });
+
+        it('should replace the variables outside of strings with numbers', () => {
+            const config = readConfig(`{
+                "redisOptions": { "host": "\${REDIS_HOST:-localhost}", "port": \${REDIS_PORT:-6379}, "db": \${REDIS_DB} }
+            }`, { REDIS_DB: '2' });
+
+            expect(config.redisOptions).toEqual({ host: 'localhost', port: 6379, db: 2 });
+        });
+
+        it('should refuse a variable outside of strings that is not a number', () => {
+            expect(() => readConfig('{ "redisOptions": { "port": ${REDIS_PORT} } }', { REDIS_PORT: '6379, "db": 1' }))
+                .toThrow(/REDIS_PORT used unquoted in impostersRepositoryConfig must be a number/);
+        });
+
+        it('should refuse a variable that is not set and has no default', () => {
+            expect(() => readConfig('{ "redisOptions": { "password": "${REDIS_PASSWORD}" } }', {}))
+                .toThrow(/Environment variable REDIS_PASSWORD used in impostersRepositoryConfig is not set/);
+        });
+    });
+});
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Declares the options accepted in impostersRepositoryConfig and checks a config against them.
+ * Objects accept only the declared properties unless additionalProperties is set,
+ * so that misspelled options are reported instead of being silently ignored.
+ * @module
+ */
+
+const LIMITS = {
+    type: 'object',
+    properties: {
+        maxCount: { type: 'integer', minimum: 0 },
+        maxAge: { type: 'number', minimum: 0 },
+        maxBytes: { type: 'integer', minimum: 0 },
+    },
+};
+
+const NODE = {
+    type: 'object',
+    properties: {
+        host: { type: 'string' },
+        port: { type: 'integer', minimum: 1 },
+    },
+    additionalProperties: true,
+};
+
+const REPO_CONFIG = {
+    type: 'object',
+    properties: {
+        redisOptions: { type: 'object', additionalProperties: true },
+        url: { type: 'string', pattern: /^rediss?:\/\//, description: 'a redis:// or rediss:// URL' },
+        tls: {
+            type: 'object',
+            properties: {
+                ca: { type: 'string' },
+                caFile: { type: 'string' },
+                cert: { type: 'string' },
+                certFile: { type: 'string' },
+                key: { type: 'string' },
+                keyFile: { type: 'string' },
+                passphrase: { type: 'string' },
+                servername: { type: 'string' },
+                rejectUnauthorized: { type: 'boolean' },
+            },
+            exclusive: [ [ 'ca', 'caFile' ], [ 'cert', 'certFile' ], [ 'key', 'keyFile' ] ],
+        },
+        auth: {
+            type: 'object',
+            properties: {
+                username: { type: 'string' },
+                usernameFile: { type: 'string' },
+                password: { type: 'string' },
+                passwordFile: { type: 'string' },
+            },
+            exclusive: [ [ 'username', 'usernameFile' ], [ 'password', 'passwordFile' ] ],
+        },
+        cluster: {
+            type: 'object',
+            properties: {
+                nodes: { type: 'array', items: NODE, nonEmpty: true },
+                options: { type: 'object', additionalProperties: true },
+            },
+            required: [ 'nodes' ],
+        },
+        sentinel: {
+            type: 'object',
+            properties: {
+                sentinels: { type: 'array', items: NODE, nonEmpty: true },
+                name: { type: 'string' },
+                username: { type: 'string' },
+                password: { type: 'string' },
+            },
+            required: [ 'sentinels', 'name' ],
+        },
+        namespace: { type: 'string' },
+        retention: {
+            type: 'object',
+            properties: {
+                requests: LIMITS,
+                matches: LIMITS,
+            },
+        },
+        imposterTtl: { type: 'number', minimum: 0 },
+        expirationCheckInterval: { type: 'number', minimum: 1 },
+        garbageCollection: {
+            type: 'object',
+            properties: {
+                interval: { type: 'number', minimum: 0 },
+                dryRun: { type: 'boolean' },
+                gracePeriod: { type: 'number', minimum: 0 },
+            },
+        },
+        reconciliation: {
+            type: 'object',
+            properties: {
+                interval: { type: 'number', minimum: 0 },
+            },
+        },
+        cache: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxSize: { type: 'integer', minimum: 1 },
+            },
+        },
+        events: {
+            type: 'object',
+            properties: {
+                transport: { type: 'string', pattern: /^(pubsub|stream)$/, description: 'pubsub or stream' },
+                maxLength: { type: 'integer', minimum: 1 },
+                reloadDebounce: { type: 'number', minimum: 0 },
+            },
+        },
+        autoMigrate: { type: 'boolean' },
+        node: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                labels: { type: 'array', items: { type: 'string' } },
+                heartbeatInterval: { type: 'number', minimum: 1 },
+                ttl: { type: 'number', minimum: 1 },
+            },
+        },
+        sharding: {
+            type: 'object',
+            properties: {
+                replicas: { type: 'integer', minimum: 1 },
+            },
+        },
+    },
+    exclusive: [ [ 'cluster', 'sentinel' ] ],
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function hasType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (item, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+        const current = [ i ];
+        for (let j = 1; j <= b.length; j += 1) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function suggestionFor(name, knownNames) {
+    const closest = knownNames
+        .map(known => ({ known, distance: editDistance(name.toLowerCase(), known.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return closest && closest.distance <= 2 ? `, did you mean ${ closest.known }?` : '';
+}
+
+function pathOf(parent, property) {
+    if (typeof property === 'number') {
+        return `${ parent }[${ property }]`;
+    }
+    return parent ? `${ parent }.${ property }` : property;
+}
+
+/**
+ * Checks the value against the schema
+ * @param {*} value - the value
+ * @param {Object} schema - the schema of the value
+ * @param {String} path - the path of the value in the config, used in the errors
+ * @returns {Array} - the errors, empty if the value is valid
+ */
+function validate(value, schema, path) {
+    const name = path || 'impostersRepositoryConfig';
+
+    if (!hasType(value, schema.type)) {
+        const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+        return [ `${ name } must be ${ article } ${ schema.type }, got ${ JSON.stringify(value) }` ];
+    }
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        return [ `${ name } must be at least ${ schema.minimum }, got ${ value }` ];
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return [ `${ name } must be ${ schema.description }, got ${ JSON.stringify(value) }` ];
+    }
+
+    if (schema.type === 'array') {
+        if (schema.nonEmpty && value.length === 0) {
+            return [ `${ name } must not be empty` ];
+        }
+        return value.flatMap((item, index) => validate(item, schema.items, pathOf(path, index)));
+    }
+
+    if (schema.type !== 'object') {
+        return [];
+    }
+
+    const properties = schema.properties || {};
+    const knownNames = Object.keys(properties);
+    const errors = [];
+
+    (schema.required || []).filter(property => value[property] === undefined).forEach(property => {
+        errors.push(`${ pathOf(path, property) } is required`);
+    });
+    (schema.exclusive || []).filter(group => group.filter(property => value[property] !== undefined).length > 1).forEach(group => {
+        errors.push(`only one of ${ group.map(property => pathOf(path, property)).join(', ') } can be set`);
+    });
+
+    Object.keys(value).forEach(property => {
+        if (properties[property]) {
+            errors.push(...validate(value[property], properties[property], pathOf(path, property)));
+        } else if (!schema.additionalProperties) {
+            errors.push(`${ pathOf(path, property) } is not a known option${ suggestionFor(property, knownNames) }`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Checks the repository config against the declared options
+ * @param {Object} repoConfig - the repository config
+ * @returns {Array} - the errors, empty if the config is valid
+ */
+function validateRepoConfig(repoConfig) {
+    return validate(repoConfig, REPO_CONFIG, '');
+}
+
+module.exports = {
+    validateRepoConfig,
+};
@@ -1,47 +1,84 @@
 'use strict';
 
-const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 
 const ImposterStorage = require('./ImposterStorage');
+const { getRedisRepoConfig } = require('./config');
+const { isOrphaned, isOwnedBy, ownersOf } = require('./ownership');
 const stubsRepository = require('./stubRepository');
-
-const DEFAULT_REPO_CONFIG = {
-    redisOptions: {
-        socket: {
-            host: 'localhost',
-            port: 6379,
-        },
-    },
-};
-
-function getRedisRepoConfig(config) {
-    if (!config.impostersRepositoryConfig) {
-        return DEFAULT_REPO_CONFIG;
-    }
-
-    if (typeof config.impostersRepositoryConfig === 'object') {
-        return config.impostersRepositoryConfig;
-    }
-    try {
-        return JSON.parse(fs.readFileSync(config.impostersRepositoryConfig));
-    } catch (e) {
-        throw new Error(`Can't read impostersRepositoryConfig from ${ config.impostersRepositoryConfig }.`, e);
-    }
+const { version } = require('../package.json');
+
+const DEFAULT_EXPIRATION_CHECK_INTERVAL = 5000;
+const DEFAULT_HEARTBEAT_INTERVAL = 5000;
+const DEFAULT_NODE_TTL = 15000;
+const DEFAULT_RELOAD_DEBOUNCE = 20;
+
+/**
+ * Returns the version of the config an imposter is bound with.
+ * The stubs are left out, as they are read from Redis whenever a request is matched.
+ * @param {Object} imposterConfig - the stored imposter config
+ * @returns {String}
+ */
+function versionOf(imposterConfig) {
+    const { stubs, ...bindingConfig } = imposterConfig;
+    return crypto.createHash('sha1').update(JSON.stringify(bindingConfig)).digest('hex');
 }
 
 function create(config, logger) {
     let appProtocols;
 
     const imposterFns = {};
+    const imposterVersions = {};
+    const imposterRevisions = {};
+    const imposterQueues = {};
+    const reloadTimers = {};
+    let expirationTimer;
+    let garbageCollectionTimer;
+    let reconciliationTimer;
+    let heartbeatTimer;
+    let heartbeatQueue = Promise.resolve();
+    const periodicRuns = {};
+    let liveNodes = [];
     let repoConfig;
     try {
         repoConfig = getRedisRepoConfig(config);
     } catch (e) {
         logger.error(e, 'READ_CONFIG_ERROR');
-        return;
+        throw e;
     }
 
-    const imposterStorage = new ImposterStorage(repoConfig.redisOptions, logger);
+    const imposterStorage = new ImposterStorage(repoConfig.redisOptions, logger, {
+        namespace: repoConfig.namespace,
+        retention: repoConfig.retention,
+        imposterTtl: repoConfig.imposterTtl,
+        cache: repoConfig.cache,
+        cluster: repoConfig.cluster,
+        sentinel: repoConfig.sentinel,
+        events: repoConfig.events,
+    });
+    imposterStorage.dbClient.onResubscribe(reloadAll);
+
+    const nodeConfig = repoConfig.node || {};
+    const node = {
+        id: nodeConfig.id || `${ os.hostname() }-${ process.pid }`,
+        labels: nodeConfig.labels || [],
+        startTime: new Date().toISOString(),
+    };
+    const nodeTtl = nodeConfig.ttl || DEFAULT_NODE_TTL;
+    const sharding = repoConfig.sharding;
+    const eventsConfig = repoConfig.events || {};
+    const reloadDebounce = eventsConfig.reloadDebounce === undefined ? DEFAULT_RELOAD_DEBOUNCE : eventsConfig.reloadDebounce;
+
+    /**
+     * Returns whether this node binds the imposter,
+     * which is always the case without sharding or before the node has joined the live nodes
+     * @param {Object} imposterConfig - the stored imposter
+     * @returns {Boolean}
+     */
+    function isOwned(imposterConfig) {
+        return !sharding || liveNodes.length === 0 || isOwnedBy(imposterConfig, node, liveNodes, sharding.replicas || 1);
+    }
 
     /**
      * Saves a reference to the imposter so that the functions
@@ -61,10 +98,15 @@ function create(config, logger) {
         });
     }
 
+    /**
+     * Restores the functions of the imposter bound by this node.
+     * With sharding, the imposters bound by other nodes have no functions here and are returned as stored.
+     * @param {Object} imposter - the stored imposter
+     */
     function rehydrate(imposter) {
-        const id = String(imposter.port);
-        Object.keys(imposterFns[id]).forEach(key => {
-            imposter[key] = imposterFns[id][key];
+        const fns = imposterFns[String(imposter.port)] || {};
+        Object.keys(fns).forEach(key => {
+            imposter[key] = fns[key];
         });
     }
 
@@ -76,19 +118,28 @@ function create(config, logger) {
      */
     async function add(imposter) {
         try {
+            const startTime = Date.now();
             const imposterConfig = imposter.creationRequest;
             const stubs = imposterConfig.stubs || [];
 
-            const saveStubs = stubs.map(stub => imposterStorage.saveStubMetaAndResponses(imposter.port, stub));
-            const stubDefinitions = await Promise.all(saveStubs);
-
             delete imposterConfig.requests;
             imposterConfig.port = imposter.port;
-            imposterConfig.stubs = stubDefinitions;
 
-            await imposterStorage.saveImposter(imposterConfig);
+            const revision = await imposterStorage.saveImposter(imposterConfig, { stubs });
+            imposterStorage.logSaveDuration(imposter.port, stubs, startTime);
 
+            if (!isOwned(imposterConfig)) {
+                if (imposter.stop) {
+                    await imposter.stop();
+                }
+                logger.info(`Imposter ${ imposter.port } is bound by other nodes`);
+                return imposter;
+            }
             addReference(imposter);
+            imposterVersions[String(imposter.port)] = versionOf(imposterConfig);
+            if (revision) {
+                imposterRevisions[String(imposter.port)] = revision;
+            }
 
             return imposter;
         } catch (e) {
@@ -109,7 +160,7 @@ function create(config, logger) {
             if (!imposter) {
                 return null;
             }
-            imposter.stubs = await stubsFor(id).toJSON();
+            await imposterStorage.getStubsJSON([ imposter ]);
 
             rehydrate(imposter);
 
@@ -130,7 +181,12 @@ function create(config, logger) {
             return [];
         }
         try {
-            return Promise.all(Object.keys(imposterFns).map(get));
+            const imposters = await imposterStorage.getImposters(Object.keys(imposterFns));
+            const found = imposters.filter(imposter => imposter !== null);
+            await imposterStorage.getStubsJSON(found);
+            found.forEach(rehydrate);
+
+            return imposters;
         } catch (e) {
             logger.error(e, 'GET_ALL_ERROR');
         }
@@ -154,6 +210,8 @@ function create(config, logger) {
         try {
             const stop = imposterFns[String(id)].stop;
             delete imposterFns[String(id)];
+            delete imposterVersions[String(id)];
+            delete imposterRevisions[String(id)];
             if (stop) {
                 await stop();
             }
@@ -192,13 +250,29 @@ function create(config, logger) {
     async function stopAll() {
 
         try {
-            const shutdownFns = Object.keys(imposterFns).map(shutdown);
-            await Promise.all(shutdownFns);
+            clearInterval(expirationTimer);
+            clearInterval(garbageCollectionTimer);
+            clearInterval(reconciliationTimer);
+            clearInterval(heartbeatTimer);
+            Object.keys(reloadTimers).forEach(cancelReload);
+            await Promise.all([
+                ...Object.keys(imposterFns).map(shutdown),
+                ...Object.values(periodicRuns),
+                ...Object.values(imposterQueues),
+            ]);
+            // the imposters bound by the runs awaited above
+            await Promise.all(Object.keys(imposterFns).map(shutdown));
             await Promise.all([
                 await imposterStorage.unsubscribe(ImposterStorage.CHANNELS.imposter_change),
                 await imposterStorage.unsubscribe(ImposterStorage.CHANNELS.imposter_delete),
                 await imposterStorage.unsubscribe(ImposterStorage.CHANNELS.all_imposters_delete),
+                await imposterStorage.unsubscribe(ImposterStorage.CHANNELS.stub_change),
+                await imposterStorage.unsubscribe(ImposterStorage.CHANNELS.node_change),
             ]);
+            await heartbeatQueue;
+            await imposterStorage.deleteNode(node.id);
+            await imposterStorage.publishNodeChange(node.id);
+            liveNodes = [];
             await imposterStorage.stop();
         } catch (e) {
             logger.error(e, 'STOP_ALL_ERROR');
@@ -229,7 +303,14 @@ function create(config, logger) {
         }
     }
 
-    async function loadImposter(imposterConfig, protocols) {
+    /**
+     * Binds the stored imposter
+     * @param {Object} imposterConfig - the stored imposter config
+     * @param {Object} protocols - the protocol map
+     * @param {Number} revision - the revision of the imposter read before its config, so that it's never newer than it
+     * @returns {Object} - the promise resolving to the imposter, undefined if it can't be bound
+     */
+    async function loadImposter(imposterConfig, protocols, revision) {
         const protocol = protocols[imposterConfig.protocol];
 
         if (protocol) {
@@ -239,6 +320,10 @@ function create(config, logger) {
             try {
                 const imposter = await protocol.createImposterFrom(imposterConfig);
                 addReference(imposter);
+                imposterVersions[String(imposterConfig.port)] = versionOf(imposterConfig);
+                if (revision) {
+                    imposterRevisions[String(imposterConfig.port)] = revision;
+                }
                 return imposter;
             } catch (e) {
                 logger.error(e, `Cannot load imposter ${ imposterConfig.port }`);
@@ -248,52 +333,392 @@ function create(config, logger) {
         }
     }
 
-    function onImposterChange(imposterId) {
-        const imposter = imposterFns[imposterId];
-
-        if (imposter) {
-            shutdown(imposterId).then(() => {
-                imposterStorage.getImposter(imposterId).then(imposterConfig => {
-                    loadImposter(imposterConfig, appProtocols).then(() => {
-                        if (config.debug) {
-                            logger.info(`Imposter ${ imposterId } reloaded`);
-                        }
-                    });
-                });
+    /**
+     * Runs the function once the previous ones queued for the imposter are done,
+     * so that the changes of an imposter never race on its port
+     * @param {String} imposterId - the id of the imposter
+     * @param {Function} fn - the function returning a promise
+     * @returns {Object} - the promise, resolved even if the function fails, as the failure is logged
+     */
+    function enqueue(imposterId, fn) {
+        const id = String(imposterId);
+        const queued = (imposterQueues[id] || Promise.resolve())
+            .then(fn)
+            .catch(e => logger.error(e, `IMPOSTER_QUEUE_ERROR, imposter ${ id }`))
+            .finally(() => {
+                if (imposterQueues[id] === queued) {
+                    delete imposterQueues[id];
+                }
             });
-        } else {
-            imposterStorage.getImposter(imposterId).then(imposterConfig => {
-                loadImposter(imposterConfig, appProtocols).then(() => {
-                    if (config.debug) {
-                        logger.info(`Imposter ${ imposterId } reloaded`);
-                    }
-                });
+        imposterQueues[id] = queued;
+        return queued;
+    }
 
-            });
+    function cancelReload(imposterId) {
+        clearTimeout(reloadTimers[String(imposterId)]);
+        delete reloadTimers[String(imposterId)];
+    }
+
+    /**
+     * Binds the imposter again with its latest stored version, or shuts it down if it's no longer stored or owned
+     * @param {String} imposterId - the id of the imposter
+     * @param {Object} options - the options
+     * @param {Boolean} options.compareConfig - if true, the imposter is reloaded only if it's bound with another config
+     * than the stored one, or not bound, instead of only if its stored revision is newer than the bound one,
+     * as the config may have been changed without a new revision
+     * @returns {Object} - the promise
+     */
+    async function reloadImposter(imposterId, options = {}) {
+        const id = String(imposterId);
+        // the revision is read first, so that it's never newer than the config read next
+        const revision = await imposterStorage.getImposterRevision(imposterId);
+        if (!options.compareConfig && isStale({ imposterId, revision })) {
+            return;
+        }
+
+        const imposterConfig = await imposterStorage.getImposter(imposterId);
+        if (options.compareConfig && imposterConfig && imposterFns[id] && imposterVersions[id] === versionOf(imposterConfig)) {
+            return;
+        }
+        await shutdown(imposterId);
+        if (!imposterConfig || !isOwned(imposterConfig)) {
+            return;
+        }
+
+        const imposter = await loadImposter(imposterConfig, appProtocols, revision);
+        if (imposter && config.debug) {
+            logger.info(`Imposter ${ imposterId } reloaded at revision ${ revision }`);
+        }
+    }
+
+    /**
+     * Returns whether the event is about a revision of the imposter older than or equal to the bound one,
+     * e.g. an event replayed after the imposter has been reloaded, so that it can be ignored
+     * @param {Object} event - the event with the id of the imposter and optionally its revision
+     * @returns {Boolean}
+     */
+    function isStale(event) {
+        const boundRevision = imposterRevisions[String(event.imposterId)];
+        return Boolean(event.revision) && boundRevision !== undefined && event.revision <= boundRevision;
+    }
+
+    /**
+     * Loads the imposter unless a change handled meanwhile has already bound it
+     * @param {Object} imposterConfig - the stored imposter config
+     * @param {Number} revision - the revision of the imposter read before its config
+     * @returns {Object} - the promise
+     */
+    async function loadUnboundImposter(imposterConfig, revision) {
+        if (!imposterFns[String(imposterConfig.port)]) {
+            await loadImposter(imposterConfig, appProtocols, revision);
         }
     }
 
-    function onImposterDelete(imposterId) {
-        const imposter = imposterFns[imposterId];
+    /**
+     * Reloads the imposter once its changes stop coming for the debounce delay,
+     * so that a burst of changes results in a single reload of the latest version
+     * @param {Object} event - the event with the id of the imposter and its revision
+     */
+    function onImposterChange(event) {
+        const imposterId = event.imposterId;
+        if (isStale(event)) {
+            if (config.debug) {
+                logger.info(`Ignoring stale change of imposter ${ imposterId } at revision ${ event.revision }`);
+            }
+            return;
+        }
 
-        if (imposter) {
-            shutdown(imposterId).then(() => {
-                if (config.debug) {
-                    logger.info(`Imposter ${ imposterId } stopped`);
-                }
-            });
+        cancelReload(imposterId);
+        const timer = setTimeout(() => {
+            delete reloadTimers[String(imposterId)];
+            enqueue(imposterId, () => reloadImposter(imposterId));
+        }, reloadDebounce);
+        timer.unref();
+        reloadTimers[String(imposterId)] = timer;
+    }
+
+    /**
+     * Applies a change of the stubs made by another instance.
+     * The imposter stays bound, as its stubs are read from Redis whenever a request is matched,
+     * and the cache of the imposter is already invalidated by the storage.
+     * The bound revision follows the change if it's the next one, as the bound config is then still the latest,
+     * so that the events replayed up to it are ignored.
+     * @param {Object} event - the stub event with the id of the imposter, its revision, type and details
+     */
+    function onStubChange(event) {
+        if (config.debug) {
+            logger.info(`Stubs of imposter ${ event.imposterId } changed: ${ event.type }`);
+        }
+        if (!event.revision) {
+            return;
+        }
+
+        const id = String(event.imposterId);
+        enqueue(id, async() => {
+            if (imposterFns[id] && imposterRevisions[id] !== undefined && event.revision === imposterRevisions[id] + 1) {
+                imposterRevisions[id] = event.revision;
+            }
+        });
+    }
+
+    function onImposterDelete(event) {
+        const imposterId = event.imposterId;
+        if (isStale(event)) {
+            if (config.debug) {
+                logger.info(`Ignoring stale deletion of imposter ${ imposterId } at revision ${ event.revision }`);
+            }
+            return;
         }
+
+        cancelReload(imposterId);
+        enqueue(imposterId, async() => {
+            if (!imposterFns[String(imposterId)]) {
+                return;
+            }
+            await shutdown(imposterId);
+            if (config.debug) {
+                logger.info(`Imposter ${ imposterId } stopped`);
+            }
+        });
     }
 
     function onAllImpostersDelete() {
+        Object.keys(reloadTimers).forEach(cancelReload);
         const ids = Object.keys(imposterFns);
-        Promise.all(Object.keys(imposterFns).map(shutdown)).then(() => {
+        Promise.all(ids.map(id => enqueue(id, () => shutdown(id)))).then(() => {
             if (config.debug) {
                 logger.info(`All imposters have stopped. ids: ${ ids }`);
             }
         });
     }
 
+    /**
+     * Brings the loaded imposters in line with the stored ones after the subscriber reconnects,
+     * e.g. after a failover, as the changes published while it was disconnected are lost.
+     * Only the imposters deleted, released or changed meanwhile are shut down or bound again.
+     * @returns {Object} - the promise
+     */
+    async function reloadAll() {
+        if (!appProtocols) {
+            return;
+        }
+
+        try {
+            const ownedById = {};
+            (await imposterStorage.getAllImposters()).filter(isOwned).forEach(imposterConfig => {
+                ownedById[String(imposterConfig.port)] = imposterConfig;
+            });
+
+            const removedIds = Object.keys(imposterFns).filter(id => !ownedById[id]);
+            const changedIds = Object.keys(ownedById).filter(id => imposterVersions[id] !== versionOf(ownedById[id]));
+            logger.info(`Reloading imposters after reconnection. Changed: ${ changedIds }, removed: ${ removedIds }`);
+
+            removedIds.forEach(id => onImposterDelete({ imposterId: id }));
+            changedIds.forEach(id => {
+                cancelReload(id);
+                enqueue(id, () => reloadImposter(id, { compareConfig: true }));
+            });
+        } catch (e) {
+            logger.error(e, 'RELOAD_ALL_ERROR');
+        }
+    }
+
+    /**
+     * Logs the imposters taken over from the nodes that are no longer alive
+     * @param {Array} acquired - the imposters acquired by this node
+     * @param {Array} previousNodes - the live nodes before the change
+     */
+    function logHandover(acquired, previousNodes) {
+        const liveIds = liveNodes.map(liveNode => liveNode.id);
+        acquired.forEach(imposter => {
+            const deadOwners = ownersOf(imposter, previousNodes, sharding.replicas || 1).filter(id => !liveIds.includes(id));
+            if (deadOwners.length === 0) {
+                return;
+            }
+            const reason = isOrphaned(imposter, liveNodes) ? `, no live node has the labels ${ imposter.nodeLabels }` : '';
+            logger.info(`Imposter ${ imposter.port } handed over from node ${ deadOwners }, no longer alive, to node ${ node.id }${ reason }`);
+        });
+    }
+
+    /**
+     * Binds the stored imposters this node owns and releases the ones it no longer owns
+     * @param {Array} previousNodes - the live nodes before the change
+     * @returns {Object} - the promise
+     */
+    async function rebalance(previousNodes) {
+        const revisions = await imposterStorage.getImposterRevisions();
+        const imposters = await imposterStorage.getAllImposters();
+        const owned = imposters.filter(isOwned);
+        const ownedIds = owned.map(imposter => String(imposter.port));
+
+        const released = Object.keys(imposterFns).filter(id => !ownedIds.includes(id));
+        const acquired = owned.filter(imposter => !imposterFns[String(imposter.port)]);
+        await Promise.all(released.map(id => enqueue(id, () => shutdown(id))));
+        await Promise.all(acquired.map(imposter => enqueue(imposter.port, () => loadUnboundImposter(imposter, revisions[String(imposter.port)]))));
+
+        if (released.length > 0 || acquired.length > 0) {
+            logger.info(`Imposters rebalanced. Released: ${ released }, acquired: ${ acquired.map(imposter => imposter.port) }`);
+        }
+        logHandover(acquired, previousNodes);
+    }
+
+    /**
+     * Refreshes the node in the registry, removes the expired nodes
+     * and, with sharding, rebalances the imposters if the live nodes have changed
+     * @returns {Object} - the promise
+     */
+    async function heartbeat() {
+        await imposterStorage.refreshNode({
+            ...node,
+            host: os.hostname(),
+            pid: process.pid,
+            version,
+            ports: Object.keys(imposterFns).map(Number),
+        });
+
+        const expiredIds = await imposterStorage.deleteExpiredNodes(nodeTtl);
+        if (expiredIds.length > 0) {
+            logger.info(`Expired nodes have been removed. ids: ${ expiredIds }`);
+        }
+        if (!sharding) {
+            return;
+        }
+
+        const nodes = (await imposterStorage.getNodes(nodeTtl)).map(({ id, labels }) => ({ id, labels }));
+        if (!nodes.some(liveNode => liveNode.id === node.id)) {
+            logger.warn(`Node ${ node.id } can't see itself among the live nodes, imposters are not rebalanced`);
+            return;
+        }
+
+        if (JSON.stringify(nodes) !== JSON.stringify(liveNodes)) {
+            logger.info(`Live nodes changed: ${ nodes.map(liveNode => liveNode.id) }`);
+            const previousNodes = liveNodes;
+            liveNodes = nodes;
+            await rebalance(previousNodes);
+        }
+    }
+
+    function scheduleHeartbeat() {
+        heartbeatQueue = heartbeatQueue.then(heartbeat).catch(e => logger.error(e, 'HEARTBEAT_ERROR'));
+        return heartbeatQueue;
+    }
+
+    /**
+     * Runs the task at every interval unless its previous run is still in progress,
+     * so that the runs never overlap and stopAll can wait for the one in progress
+     * @param {String} name - the name of the task
+     * @param {Function} fn - the function returning a promise, logging its own failures
+     * @param {Number} interval - the interval in milliseconds
+     * @returns {Object} - the timer
+     */
+    function runPeriodically(name, fn, interval) {
+        const timer = setInterval(() => {
+            if (!periodicRuns[name]) {
+                periodicRuns[name] = fn().catch(() => {}).finally(() => {
+                    delete periodicRuns[name];
+                });
+            }
+        }, interval);
+        timer.unref();
+        return timer;
+    }
+
+    async function expireImposters() {
+        try {
+            const ids = await imposterStorage.deleteExpiredImposters();
+            await Promise.all(ids.map(shutdown));
+            if (ids.length > 0) {
+                logger.info(`Expired imposters have been deleted. ids: ${ ids }`);
+            }
+        } catch (e) {
+            logger.error(e, 'EXPIRE_IMPOSTERS_ERROR');
+        }
+    }
+
+    /**
+     * Finds the stored data not reachable from any imposter and deletes it
+     * @memberOf module:models/redisBackedImpostersRepository#
+     * @param {Object} options - the options
+     * @param {Boolean} options.dryRun - if true, only reports the garbage
+     * @returns {Object} - the promise resolving to the ids of unreachable entries by entity
+     */
+    async function collectGarbage(options = {}) {
+        try {
+            return await imposterStorage.collectGarbage(options);
+        } catch (e) {
+            logger.error(e, 'COLLECT_GARBAGE_ERROR');
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * Brings the bound imposters in line with the stored ones this node owns, correcting the drift left
+     * by missed events, failed loads or changes made directly in Redis:
+     * loads the missing imposters, reloads the ones stored with another config and shuts down the others
+     * @memberOf module:models/redisBackedImpostersRepository#
+     * @returns {Object} - the promise resolving to the ids of the loaded, reloaded, shut down imposters
+     * and of the ones failing to load
+     */
+    async function reconcile() {
+        const corrections = { loaded: [], reloaded: [], shutDown: [], failed: [] };
+        if (!appProtocols) {
+            return corrections;
+        }
+
+        try {
+            const revisions = await imposterStorage.getImposterRevisions();
+            const ownedById = {};
+            (await imposterStorage.getAllImposters()).filter(isOwned).forEach(imposterConfig => {
+                ownedById[String(imposterConfig.port)] = imposterConfig;
+            });
+
+            corrections.shutDown = Object.keys(imposterFns).filter(id => !ownedById[id]);
+            corrections.loaded = Object.keys(ownedById).filter(id => !imposterFns[id]);
+            corrections.reloaded = Object.keys(ownedById)
+                .filter(id => imposterFns[id] && imposterVersions[id] !== versionOf(ownedById[id]));
+
+            const toLoad = [ ...corrections.loaded, ...corrections.reloaded ];
+            await Promise.all([
+                ...corrections.shutDown.map(id => enqueue(id, () => shutdown(id))),
+                ...corrections.reloaded.map(id => enqueue(id, async() => {
+                    await shutdown(id);
+                    await loadImposter(ownedById[id], appProtocols, revisions[id]);
+                })),
+                ...corrections.loaded.map(id => enqueue(id, () => loadUnboundImposter(ownedById[id], revisions[id]))),
+            ]);
+
+            // loadImposter logs its failures, the imposters failing to load are tried again next time
+            corrections.failed = toLoad.filter(id => !imposterFns[id]);
+            corrections.loaded = corrections.loaded.filter(id => imposterFns[id]);
+            corrections.reloaded = corrections.reloaded.filter(id => imposterFns[id]);
+
+            corrections.shutDown.forEach(id => logger.warn(`Reconciliation: imposter ${ id } isn't stored or owned, shut down`));
+            corrections.loaded.forEach(id => logger.warn(`Reconciliation: imposter ${ id } wasn't bound, loaded`));
+            corrections.reloaded.forEach(id => logger.warn(`Reconciliation: imposter ${ id } was bound with another config, reloaded`));
+            corrections.failed.forEach(id => logger.warn(`Reconciliation: imposter ${ id } isn't bound, loading it failed`));
+            return corrections;
+        } catch (e) {
+            logger.error(e, 'RECONCILE_ERROR');
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * Upgrades the stored data to the schema version of the repository
+     * @memberOf module:models/redisBackedImpostersRepository#
+     * @param {Object} options - the options
+     * @param {Boolean} options.dryRun - if true, only reports the changes the migrations would make
+     * @returns {Object} - the promise resolving to the list of applied migrations with their changes
+     */
+    async function migrate(options = {}) {
+        try {
+            return await imposterStorage.migrate(options);
+        } catch (e) {
+            logger.error(e, 'MIGRATE_ERROR');
+            return Promise.reject(e);
+        }
+    }
+
     /**
      * Loads all saved imposters at startup
      * @memberOf module:models/redisBackedImpostersRepository#
@@ -303,23 +728,78 @@ function create(config, logger) {
     async function loadAll(protocols) {
         appProtocols = protocols;
 
+        await imposterStorage.start();
         try {
-            await imposterStorage.start();
-            logger.info('Connection done. Going to load all imposters');
-            const allImposters = await imposterStorage.getAllImposters();
+            await imposterStorage.checkSchema({ autoMigrate: repoConfig.autoMigrate });
+        } catch (e) {
+            logger.error(e, 'CHECK_SCHEMA_ERROR');
+            throw e;
+        }
 
-            const promises = allImposters.map(imposter => loadImposter(imposter, protocols));
-            await Promise.all(promises);
+        try {
+            logger.info('Connection done. Going to load all imposters');
+            if (sharding) {
+                // the first heartbeat binds the imposters owned by the node
+                await scheduleHeartbeat();
+                await imposterStorage.publishNodeChange(node.id);
+            } else {
+                const revisions = await imposterStorage.getImposterRevisions();
+                const allImposters = await imposterStorage.getAllImposters();
+                const promises = allImposters.map(imposter =>
+                    enqueue(imposter.port, () => loadUnboundImposter(imposter, revisions[String(imposter.port)])));
+                await Promise.all(promises);
+                await scheduleHeartbeat();
+            }
             await Promise.all([
                 await imposterStorage.subscribe(ImposterStorage.CHANNELS.imposter_change, onImposterChange),
                 await imposterStorage.subscribe(ImposterStorage.CHANNELS.imposter_delete, onImposterDelete),
                 await imposterStorage.subscribe(ImposterStorage.CHANNELS.all_imposters_delete, onAllImpostersDelete),
+                await imposterStorage.subscribe(ImposterStorage.CHANNELS.stub_change, onStubChange),
             ]);
+
+            if (sharding) {
+                await imposterStorage.subscribe(ImposterStorage.CHANNELS.node_change, scheduleHeartbeat);
+            }
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = setInterval(scheduleHeartbeat, nodeConfig.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL);
+            heartbeatTimer.unref();
+
+            clearInterval(expirationTimer);
+            expirationTimer = runPeriodically('expiration', expireImposters,
+                repoConfig.expirationCheckInterval || DEFAULT_EXPIRATION_CHECK_INTERVAL);
+
+            const garbageCollection = repoConfig.garbageCollection || {};
+            clearInterval(garbageCollectionTimer);
+            if (garbageCollection.interval > 0) {
+                garbageCollectionTimer = runPeriodically('garbageCollection', () => collectGarbage(garbageCollection),
+                    garbageCollection.interval);
+            }
+
+            const reconciliation = repoConfig.reconciliation || {};
+            clearInterval(reconciliationTimer);
+            if (reconciliation.interval > 0) {
+                reconciliationTimer = runPeriodically('reconciliation', reconcile, reconciliation.interval);
+            }
         } catch (e) {
             logger.error(e, 'LOAD_ALL_ERROR');
         }
     }
 
+    /**
+     * Lists the live mountebank instances attached to the Redis, including this one
+     * @memberOf module:models/redisBackedImpostersRepository#
+     * @returns {Object} - the promise resolving to the nodes with their id, labels, host, pid, version,
+     * start time, last heartbeat time and loaded imposter ports
+     */
+    async function listNodes() {
+        try {
+            return await imposterStorage.getNodes(nodeTtl);
+        } catch (e) {
+            logger.error(e, 'LIST_NODES_ERROR');
+            return Promise.reject(e);
+        }
+    }
+
     function stubsFor(id) {
         return stubsRepository(id, imposterStorage, logger);
     }
@@ -327,11 +807,15 @@ function create(config, logger) {
     return {
         add,
         all,
+        collectGarbage,
         del,
         deleteAll,
         exists,
         get,
+        listNodes,
         loadAll,
+        migrate,
+        reconcile,
         stopAll,
         stopAllSync,
         stubsFor,
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Ordered steps upgrading the data stored by ImposterStorage from one schema version to the next.
+ * Data stored before the schema version was introduced has version 0.
+ * Every step receives the storage context, returns the list of changes it made
+ * and must not write anything on a dry run, only report what it would change.
+ * Steps must be idempotent, so that an interrupted migration can be run again.
+ * @module
+ */
+
+const LEGACY_LOGS = [ 'requests', 'matches' ];
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Move recorded requests and matches from JSON arrays in hashes to streams',
+        async up({ dbClient, dryRun, key }) {
+            const changes = [];
+
+            // legacy data predates the cluster mode, so it's only ever in the keys shared by all the imposters
+            for (const log of LEGACY_LOGS) {
+                const lists = await dbClient.getAllObjectsById(key(log));
+                if (lists === null) {
+                    throw new Error(`MIGRATION_ERROR, cannot read ${ key(log) }`);
+                }
+
+                for (const id of Object.keys(lists)) {
+                    const entries = lists[id] || [];
+                    changes.push(`move ${ entries.length } ${ log } of ${ id }`);
+                    if (dryRun) {
+                        continue;
+                    }
+
+                    // a previous run may have been interrupted after moving some entries, start over
+                    await dbClient.delLog(key(log), id);
+                    for (const entry of entries) {
+                        if (await dbClient.appendToLog(key(log), id, entry) === null) {
+                            throw new Error(`MIGRATION_ERROR, cannot move ${ log } of ${ id }`);
+                        }
+                    }
+                    await dbClient.delObject(key(log), id);
+                }
+            }
+
+            return changes;
+        },
+    },
+];
+
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+module.exports = {
+    SCHEMA_VERSION,
+    migrations,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Decides which mountebank nodes bind an imposter when sharding is enabled.
+ * An imposter with nodeLabels is bound by every live node having one of the labels, the id of a node being one of its labels.
+ * Any other imposter, and an imposter whose labels no live node has any more, is bound by the live nodes
+ * ranked first for it by rendezvous hashing, so that a node joining or leaving moves only the imposters it gains or loses.
+ * @module
+ */
+
+const crypto = require('crypto');
+
+function weight(nodeId, imposterId) {
+    return crypto.createHash('sha1').update(`${ nodeId }:${ imposterId }`).digest().readUInt32BE(0);
+}
+
+/**
+ * Returns the ids of the nodes owning the imposter by rendezvous hashing
+ * @param {String} imposterId - the id of the imposter
+ * @param {Array} nodeIds - the ids of the live nodes
+ * @param {Number} replicas - the number of nodes binding each imposter
+ * @returns {Array}
+ */
+function hashOwners(imposterId, nodeIds, replicas) {
+    return nodeIds
+        .map(nodeId => ({ nodeId, weight: weight(nodeId, imposterId) }))
+        .sort((a, b) => b.weight - a.weight || a.nodeId.localeCompare(b.nodeId))
+        .slice(0, replicas)
+        .map(item => item.nodeId);
+}
+
+function hasLabel(node, label) {
+    return label === node.id || (node.labels || []).includes(label);
+}
+
+/**
+ * Returns the ids of the live nodes binding the imposter
+ * @param {Object} imposter - the imposter config with optional nodeLabels
+ * @param {Array} liveNodes - the live nodes with their id and labels
+ * @param {Number} replicas - the number of nodes binding each imposter without labels
+ * @returns {Array}
+ */
+function ownersOf(imposter, liveNodes, replicas) {
+    const labels = imposter.nodeLabels || [];
+    const pinnedOwners = liveNodes.filter(node => labels.some(label => hasLabel(node, label)));
+    if (pinnedOwners.length > 0) {
+        return pinnedOwners.map(node => node.id);
+    }
+    return hashOwners(String(imposter.port), liveNodes.map(node => node.id), replicas);
+}
+
+/**
+ * Returns whether the node binds the imposter
+ * @param {Object} imposter - the imposter config with optional nodeLabels
+ * @param {Object} node - the node with its id and labels
+ * @param {Array} liveNodes - the live nodes with their id and labels
+ * @param {Number} replicas - the number of nodes binding each imposter without labels
+ * @returns {Boolean}
+ */
+function isOwnedBy(imposter, node, liveNodes, replicas) {
+    return ownersOf(imposter, liveNodes, replicas).includes(node.id);
+}
+
+/**
+ * Returns whether the imposter is pinned to labels that no live node has, so that it's failed over to other nodes
+ * @param {Object} imposter - the imposter config with optional nodeLabels
+ * @param {Array} liveNodes - the live nodes with their id and labels
+ * @returns {Boolean}
+ */
+function isOrphaned(imposter, liveNodes) {
+    const labels = imposter.nodeLabels || [];
+    return labels.length > 0 && !liveNodes.some(node => labels.some(label => hasLabel(node, label)));
+}
+
+module.exports = {
+    hashOwners,
+    isOrphaned,
+    isOwnedBy,
+    ownersOf,
+};
@@ -6,19 +6,28 @@
 
 /* eslint max-nested-callbacks: 0 */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const { GenericContainer } = require('testcontainers');
 
 const { loadProtocols } = require('mountebank/src/models/protocols');
 
 const create = require('./index').create;
+const ImposterStorage = require('./ImposterStorage');
+const RedisClient = require('./RedisClient');
 
 const mock = require('./testUtils/mock').mock;
 const deimposterize = require('./testUtils/deimposterize');
 const imposterize = require('./testUtils/imposterize');
 const createLogger = require('./testUtils/createLogger');
+const fakeProtocols = require('./testUtils/fakeProtocols');
 const stripFunctions = require('./testUtils/stripFunctions');
+const waitFor = require('./testUtils/waitFor');
 
 const REDIS_PORT = 6379;
+const MARKER_PORT = 9999;
 
 describe('redisImpostersRepository', () => {
     let protocols;
@@ -34,15 +43,25 @@ describe('redisImpostersRepository', () => {
         container = await container.start();
     });
 
+    const redisOptions = () => ({
+        host: container.getHost(),
+        port: container.getMappedPort(REDIS_PORT),
+    });
+
+    const createRepo = (extraConfig = {}, repoLogger = logger) => create({
+        impostersRepositoryConfig: { ...extraConfig, redisOptions: redisOptions() },
+    }, repoLogger);
+
+    // the changes are handled in the order they are published, so once a marker imposter changed after them is bound
+    // by the instance, the changes published before have been handled
+    const waitForChangesHandled = async(changingRepo, fake) => {
+        const name = `marker ${ Date.now() }`;
+        await changingRepo.add(imposterize({ port: MARKER_PORT, protocol: 'tcp', name, stop: async() => {} }));
+        await waitFor(() => (fake.bound.get(MARKER_PORT) || {}).name === name);
+    };
+
     beforeEach(() => {
-        repo = create({
-            impostersRepositoryConfig: {
-                redisOptions: {
-                    host: container.getHost(),
-                    port: container.getMappedPort(REDIS_PORT),
-                },
-            },
-        }, logger);
+        repo = createRepo();
 
         const options = { log: { level: 'info' } };
         protocols = loadProtocols(options, '', { baseLogger: logger }, () => true, repo);
@@ -244,6 +263,82 @@ describe('redisImpostersRepository', () => {
         });
     });
 
+    describe('namespace', () => {
+        it('should isolate imposters stored under different namespaces', async() => {
+            const otherRepo = createRepo({ namespace: 'other' });
+
+            await otherRepo.add(imposterize({ port: 1, value: 'other' }));
+            await repo.add(imposterize({ port: 1, value: 'default' }));
+            await repo.deleteAll();
+
+            const imposter = await otherRepo.get(1);
+            expect(deimposterize(imposter)).toEqual({ port: 1, value: 'other', stubs: [] });
+
+            await otherRepo.deleteAll();
+            await otherRepo.stopAll();
+        });
+    });
+
+    describe('config', () => {
+        it('should read a config file with environment variables', async() => {
+            const configPath = path.join(os.tmpdir(), `mb-redis-repository-${ process.pid }.json`);
+            fs.writeFileSync(configPath, `{
+                "namespace": "\${TEST_NAMESPACE:-file}",
+                "redisOptions": { "host": "\${TEST_REDIS_HOST}", "port": \${TEST_REDIS_PORT} }
+            }`);
+            process.env.TEST_REDIS_HOST = container.getHost();
+            process.env.TEST_REDIS_PORT = String(container.getMappedPort(REDIS_PORT));
+
+            const fileRepo = create({ impostersRepositoryConfig: configPath }, logger);
+            const urlRepo = create({
+                impostersRepositoryConfig: `redis://${ container.getHost() }:${ container.getMappedPort(REDIS_PORT) }`,
+            }, logger);
+
+            await fileRepo.add(imposterize({ port: 1, value: 'file' }));
+            await urlRepo.add(imposterize({ port: 1, value: 'url' }));
+
+            expect(deimposterize(await fileRepo.get(1))).toEqual({ port: 1, value: 'file', stubs: [] });
+            expect(deimposterize(await urlRepo.get(1))).toEqual({ port: 1, value: 'url', stubs: [] });
+
+            await fileRepo.deleteAll();
+            await urlRepo.deleteAll();
+            await fileRepo.stopAll();
+            await urlRepo.stopAll();
+            delete process.env.TEST_REDIS_HOST;
+            delete process.env.TEST_REDIS_PORT;
+            fs.unlinkSync(configPath);
+        });
+
+        it('should connect as an ACL user with the password read from a file', async() => {
+            const client = new RedisClient(redisOptions(), logger);
+            await (await client.getClient()).call('ACL', 'SETUSER', 'mountebank', 'on', '>secret', '~*', '&*', '+@all');
+            const passwordPath = path.join(os.tmpdir(), `mb-redis-password-${ process.pid }`);
+            fs.writeFileSync(passwordPath, 'secret\n');
+
+            const aclRepo = createRepo({ namespace: 'acl', auth: { username: 'mountebank', passwordFile: passwordPath } });
+            await aclRepo.add(imposterize({ port: 1, value: 'acl' }));
+
+            expect(deimposterize(await aclRepo.get(1))).toEqual({ port: 1, value: 'acl', stubs: [] });
+
+            await aclRepo.deleteAll();
+            await aclRepo.stopAll();
+            await (await client.getClient()).call('ACL', 'DELUSER', 'mountebank');
+            await client.stop();
+            fs.unlinkSync(passwordPath);
+        });
+
+        it('should refuse an invalid config', () => {
+            const invalidConfig = {
+                redisOption: { host: container.getHost() },
+                retention: { requests: { maxCount: '10' } },
+            };
+
+            expect(() => create({ impostersRepositoryConfig: invalidConfig }, logger))
+                .toThrow(/redisOption is not a known option, did you mean redisOptions\?\n.*maxCount must be an integer/);
+            expect(() => create({ impostersRepositoryConfig: '/missing.json' }, logger)).toThrow(/Can't read impostersRepositoryConfig/);
+        });
+    });
+
     describe('#loadAll', () => {
         it('should load an empty set if nothing previously saved', async() => {
             await repo.stopAll();
@@ -272,6 +367,411 @@ describe('redisImpostersRepository', () => {
         });
     });
 
+    describe('ttl', () => {
+        it('should delete and stop imposters after their time-to-live', async() => {
+            const expiringRepo = createRepo({ expirationCheckInterval: 50 });
+
+            await expiringRepo.add(imposterize({ port: 2526, protocol: 'tcp', ttl: 100, stubs: [ {} ] }));
+            await expiringRepo.add(imposterize({ port: 2527, protocol: 'tcp' }));
+            await expiringRepo.loadAll(protocols);
+            const match = await expiringRepo.stubsFor(2526).first(() => true);
+            await match.stub.nextResponse();
+            await waitFor(async() => !await expiringRepo.exists(2526));
+
+            expect(await expiringRepo.get(2526)).toBe(null);
+            expect(await expiringRepo.stubsFor(2526).getNumberOfRequests()).toBe(0);
+            expect(await expiringRepo.exists(2527)).toBe(true);
+
+            await expiringRepo.deleteAll();
+            await expiringRepo.stopAll();
+        });
+    });
+
+    describe('cache', () => {
+        it('should see the stubs changed by other instances', async() => {
+            const firstRepo = createRepo({ cache: { enabled: true } });
+            const secondRepo = createRepo({ cache: { enabled: true } });
+            await firstRepo.loadAll(protocols);
+            await secondRepo.loadAll(protocols);
+
+            await firstRepo.add(imposterize({ port: 1, protocol: 'test', stubs: [ { predicates: [ { equals: 'first' } ] } ] }));
+            await secondRepo.stubsFor(1).first(() => true);
+            const cached = await secondRepo.stubsFor(1).first(predicates => predicates[0].equals === 'first');
+            expect(cached.success).toBe(true);
+
+            await firstRepo.stubsFor(1).overwriteAll([ { predicates: [ { equals: 'second' } ] } ]);
+            await waitFor(async() => (await secondRepo.stubsFor(1).first(predicates => predicates[0].equals === 'second')).success);
+
+            expect(await secondRepo.stubsFor(1).count()).toBe(1);
+
+            await firstRepo.deleteAll();
+            await firstRepo.stopAll();
+            await secondRepo.stopAll();
+        });
+    });
+
+    describe('stub events', () => {
+        it('should apply the stubs changed by other instances without binding the imposter again', async() => {
+            const fake = fakeProtocols();
+            const firstRepo = createRepo({ cache: { enabled: true } });
+            const secondRepo = createRepo({ cache: { enabled: true } });
+            await firstRepo.loadAll({});
+            await secondRepo.loadAll(fake.protocols);
+
+            await firstRepo.add(imposterize({ port: 1, protocol: 'tcp', stubs: [ { predicates: [ { equals: 'first' } ] } ], stop: async() => {} }));
+            await waitFor(() => fake.bound.has(1));
+            await secondRepo.stubsFor(1).first(() => true);
+
+            await firstRepo.stubsFor(1).add({ predicates: [ { equals: 'second' } ] });
+            await firstRepo.stubsFor(1).deleteAtIndex(0);
+            await waitForChangesHandled(firstRepo, fake);
+
+            expect(fake.created.filter(imposterConfig => imposterConfig.port === 1)).toHaveLength(1);
+            expect(await secondRepo.stubsFor(1).count()).toBe(1);
+            const changed = await secondRepo.stubsFor(1).first(predicates => predicates[0].equals === 'second');
+            expect(changed.success).toBe(true);
+
+            await firstRepo.deleteAll();
+            await firstRepo.stopAll();
+            await secondRepo.stopAll();
+        });
+    });
+
+    describe('reloads', () => {
+        it('should bind only the latest version of an imposter changed in a burst', async() => {
+            const fake = fakeProtocols({ bindDelay: 20 });
+            const secondRepo = createRepo();
+            await repo.loadAll({});
+            await secondRepo.loadAll(fake.protocols);
+
+            for (let i = 0; i < 10; i += 1) {
+                await repo.add(imposterize({ port: 1, protocol: 'tcp', name: `version ${ i }`, stop: async() => {} }));
+            }
+            await waitFor(() => (fake.bound.get(1) || {}).name === 'version 9');
+
+            expect([ ...fake.bound.keys() ]).toStrictEqual([ 1 ]);
+            expect(fake.created.length).toBeLessThan(10);
+
+            await secondRepo.stopAll();
+        });
+
+        it('should bind again only the imposters changed while the subscriber was disconnected', async() => {
+            const client = new RedisClient(redisOptions(), logger);
+            const fake = fakeProtocols();
+            const secondLogger = createLogger();
+            const secondRepo = createRepo({}, secondLogger);
+            await repo.add(imposterize({ port: 1, protocol: 'tcp', name: 'first', stop: async() => {} }));
+            await repo.add(imposterize({ port: 2, protocol: 'tcp', name: 'second', stop: async() => {} }));
+            await secondRepo.loadAll(fake.protocols);
+            expect(fake.created.splice(0)).toHaveLength(2);
+
+            // changed without publishing the change, as if the event had been missed
+            await client.setObject('imposter', 1, { ...await client.getObject('imposter', 1), name: 'changed' });
+            await (await client.getClient()).client('KILL', 'TYPE', 'pubsub');
+            await waitFor(() => (fake.bound.get(1) || {}).name === 'changed');
+
+            expect(secondLogger.info).toHaveBeenCalledWith('Reloading imposters after reconnection. Changed: 1, removed: ');
+            expect(fake.created.map(imposterConfig => imposterConfig.name)).toStrictEqual([ 'changed' ]);
+            expect(await secondRepo.exists(2)).toBe(true);
+
+            await secondRepo.stopAll();
+            await client.stop();
+        });
+    });
+
+    describe('revisions', () => {
+        it('should reject changes to an imposter not at the expected revision', async() => {
+            const storage = new ImposterStorage(redisOptions(), logger);
+
+            // revisions are kept when imposters are deleted, so other tests may have changed this one
+            const revision = await storage.getImposterRevision(1);
+
+            expect(await storage.saveImposter({ port: 1, protocol: 'tcp', stubs: [] }, { expectedRevision: revision })).toBe(revision + 1);
+            expect(await storage.addStub(1, { responses: [ { is: 'first' } ] }, undefined, { expectedRevision: revision + 1 }))
+                .toBe(revision + 2);
+
+            await expect(storage.saveImposter({ port: 1, protocol: 'tcp', stubs: [] }, { expectedRevision: revision + 1 }))
+                .rejects.toMatchObject({ code: 'resource conflict' });
+            await expect(storage.overwriteAllStubs(1, [], { expectedRevision: revision }))
+                .rejects.toMatchObject({ code: 'resource conflict' });
+            expect(await storage.getImposterRevision(1)).toBe(revision + 2);
+            expect(await storage.getStubs(1)).toHaveLength(1);
+
+            await storage.deleteImposter(1);
+            expect(await storage.getImposterRevision(1)).toBe(revision + 3);
+            await storage.stop();
+        });
+
+        it('should ignore change events older than the bound revision', async() => {
+            const client = new RedisClient(redisOptions(), logger);
+            const fake = fakeProtocols();
+            const secondRepo = createRepo();
+            await repo.loadAll({});
+            await secondRepo.loadAll(fake.protocols);
+
+            await repo.add(imposterize({ port: 1, protocol: 'tcp', name: 'first', stop: async() => {} }));
+            await repo.add(imposterize({ port: 1, protocol: 'tcp', name: 'second', stop: async() => {} }));
+            await waitFor(() => (fake.bound.get(1) || {}).name === 'second');
+            fake.created.splice(0);
+            await client._publish('imposter_change', { imposterId: 1, revision: 1 }, 'ANOTHER_CLIENT_ID');
+            await client._publish('imposter_delete', { imposterId: 1, revision: 1 }, 'ANOTHER_CLIENT_ID');
+            await waitForChangesHandled(repo, fake);
+
+            expect(fake.created.filter(imposterConfig => imposterConfig.port === 1)).toStrictEqual([]);
+            expect(await secondRepo.exists(1)).toBe(true);
+
+            await secondRepo.stopAll();
+            await client.stop();
+        });
+
+        it('should follow the stub changes of the imposters bound at startup', async() => {
+            const client = new RedisClient(redisOptions(), logger);
+            const fake = fakeProtocols();
+            const secondLogger = createLogger();
+            const secondRepo = createRepo({}, secondLogger);
+            await repo.add(imposterize({ port: 1, protocol: 'tcp', name: 'first', stop: async() => {} }));
+            await secondRepo.loadAll(fake.protocols);
+
+            await repo.stubsFor(1).add({ responses: [ { is: 'first' } ] });
+            await waitForChangesHandled(repo, fake);
+            const revision = await client.getObject('revisions', 1);
+            await client._publish('imposter_change', { imposterId: 1, revision }, 'ANOTHER_CLIENT_ID');
+            await (await client.getClient()).client('KILL', 'TYPE', 'pubsub');
+            await waitFor(() => secondLogger.info.mock.calls.some(([ message ]) => message.startsWith('Reloading imposters after reconnection')));
+            await waitForChangesHandled(repo, fake);
+
+            expect(fake.created.filter(imposterConfig => imposterConfig.port === 1).map(imposterConfig => imposterConfig.name))
+                .toStrictEqual([ 'first' ]);
+            expect(await secondRepo.exists(1)).toBe(true);
+
+            await secondRepo.stopAll();
+            await client.stop();
+        });
+    });
+
+    describe('#listNodes', () => {
+        it('should list the live nodes with their loaded imposters until they stop', async() => {
+            const createNodeRepo = id => createRepo({ node: { id, labels: [ `label-${ id }` ], heartbeatInterval: 50 } });
+            const firstRepo = createNodeRepo('first');
+            const secondRepo = createNodeRepo('second');
+            await firstRepo.loadAll({});
+            await secondRepo.loadAll({});
+
+            await firstRepo.add(imposterize({ port: 1, protocol: 'tcp', stop: async() => {} }));
+            await waitFor(async() => (await secondRepo.listNodes()).some(node => node.id === 'first' && node.ports.length > 0));
+
+            const nodes = await secondRepo.listNodes();
+            expect(nodes.map(node => node.id)).toStrictEqual([ 'first', 'second' ]);
+            expect(nodes[0]).toMatchObject({ labels: [ 'label-first' ], pid: process.pid, ports: [ 1 ] });
+            expect(Object.keys(nodes[0]).sort()).toStrictEqual(
+                [ 'host', 'id', 'labels', 'lastHeartbeat', 'pid', 'ports', 'startTime', 'version' ]);
+
+            await firstRepo.deleteAll();
+            await firstRepo.stopAll();
+            expect((await secondRepo.listNodes()).map(node => node.id)).toStrictEqual([ 'second' ]);
+            await secondRepo.stopAll();
+        });
+    });
+
+    describe('sharding', () => {
+        const createShardedRepo = (id, nodeConfig = {}) => createRepo({ node: { id, heartbeatInterval: 50, ...nodeConfig }, sharding: {} });
+
+        it('should bind imposters only on the nodes owning them', async() => {
+            const first = fakeProtocols();
+            const second = fakeProtocols();
+            const firstRepo = createShardedRepo('first', { labels: [ 'zone-a' ], ttl: 500 });
+            const secondRepo = createShardedRepo('second', { ttl: 500 });
+            await firstRepo.loadAll(first.protocols);
+            await secondRepo.loadAll(second.protocols);
+
+            await firstRepo.add(imposterize({ port: 1, protocol: 'tcp', nodeLabels: [ 'second' ], stop: async() => {} }));
+            await firstRepo.add(imposterize({ port: 2, protocol: 'tcp', nodeLabels: [ 'zone-a' ], stop: async() => {} }));
+            await waitFor(async() => second.bound.size === 1 && second.bound.has(1) && await firstRepo.exists(2));
+
+            expect(await firstRepo.exists(1)).toBe(false);
+
+            await firstRepo.add(imposterize({ port: 3, protocol: 'tcp', stop: async() => {} }));
+            await waitFor(async() => Number(await firstRepo.exists(3)) + Number(second.bound.has(3)) === 1);
+
+            await firstRepo.deleteAll();
+            await secondRepo.deleteAll();
+            await firstRepo.stopAll();
+            await secondRepo.stopAll();
+        });
+
+        it('should get and delete the imposters bound by other nodes', async() => {
+            const second = fakeProtocols();
+            const firstRepo = createShardedRepo('first');
+            const secondRepo = createShardedRepo('second');
+            await firstRepo.loadAll({});
+            await secondRepo.loadAll(second.protocols);
+
+            await firstRepo.add(imposterize({ port: 1, protocol: 'tcp', nodeLabels: [ 'second' ], stop: async() => {} }));
+            await waitFor(async() => second.bound.has(1) && !await firstRepo.exists(1));
+
+            expect(deimposterize(await firstRepo.get(1))).toEqual({ port: 1, protocol: 'tcp', nodeLabels: [ 'second' ], stubs: [] });
+            expect(deimposterize(await firstRepo.del(1))).toEqual({ port: 1, protocol: 'tcp', nodeLabels: [ 'second' ], stubs: [] });
+            await waitFor(() => second.bound.size === 0);
+
+            expect(await secondRepo.get(1)).toBe(null);
+
+            await firstRepo.stopAll();
+            await secondRepo.stopAll();
+        });
+
+        it('should fail over the imposters pinned to a node whose heartbeat expired', async() => {
+            const live = fakeProtocols();
+            // the heartbeat of the dead node runs only once, on loadAll
+            const deadRepo = createShardedRepo('dead', { heartbeatInterval: 60000, ttl: 300 });
+            const liveRepo = createShardedRepo('live', { ttl: 300 });
+            await deadRepo.loadAll(fakeProtocols().protocols);
+            await liveRepo.loadAll(live.protocols);
+
+            await liveRepo.add(imposterize({ port: 1, protocol: 'tcp', nodeLabels: [ 'dead' ], stop: async() => {} }));
+            expect(await liveRepo.exists(1)).toBe(false);
+
+            await waitFor(() => live.bound.has(1));
+            await waitFor(async() => (await liveRepo.listNodes()).length === 1);
+            expect((await liveRepo.listNodes()).map(node => node.id)).toStrictEqual([ 'live' ]);
+
+            await liveRepo.deleteAll();
+            await liveRepo.stopAll();
+            await deadRepo.stopAll();
+        });
+    });
+
+    describe('#reconcile', () => {
+        it('should load, reload and shut down imposters to match the stored ones', async() => {
+            const client = new RedisClient(redisOptions(), logger);
+            const fake = fakeProtocols();
+            await repo.loadAll(fake.protocols);
+            // added as if bound by mountebank
+            await repo.add(imposterize({ port: 1, protocol: 'tcp', stop: async() => fake.bound.delete(1) }));
+            await repo.add(imposterize({ port: 2, protocol: 'tcp', stop: async() => fake.bound.delete(2) }));
+            await repo.stubsFor(2).overwriteAll([ { responses: [ { is: 'changed' } ] } ]);
+            fake.bound.set(1, { port: 1 });
+            fake.bound.set(2, { port: 2 });
+
+            await client.setObject('imposter', 1, { port: 1, protocol: 'tcp', name: 'renamed', stubs: [] });
+            await client.setObject('imposter', 3, { port: 3, protocol: 'tcp', stubs: [] });
+            await client.delObject('imposter', 2);
+
+            expect(await repo.reconcile()).toEqual({ loaded: [ '3' ], reloaded: [ '1' ], shutDown: [ '2' ], failed: [] });
+            expect([ ...fake.bound.keys() ].sort()).toStrictEqual([ 1, 3 ]);
+            expect(await repo.reconcile()).toEqual({ loaded: [], reloaded: [], shutDown: [], failed: [] });
+
+            await client.stop();
+        });
+    });
+
+    describe('#collectGarbage', () => {
+        it('should find and delete only unreachable data', async() => {
+            const client = new RedisClient(redisOptions(), logger);
+            const imposter = { port: 1, stubs: [ { responses: [ { is: 'first' } ] } ] };
+
+            await repo.add(imposterize(imposter));
+            await repo.stubsFor(1).addRequest({ value: 1 });
+            await client.setObject('meta', '1:stub-orphan', { responseIds: [ 'response-orphan' ], orderWithRepeats: [ 0 ], nextIndex: 0 });
+            await client.setObject('response', 'response-orphan', { is: 'orphan' });
+            await client.appendToLog('matches', 'stub-orphan', { request: 'REQUEST' });
+            await client.appendToLog('requests', 2, { value: 2 });
+
+            const expected = {
+                meta: [ '1:stub-orphan' ],
+                response: [ 'response-orphan' ],
+                matches: [ 'stub-orphan' ],
+                requests: [ '2' ],
+                requestCounter: [],
+                retention: [],
+                expirations: [],
+            };
+            expect(await repo.collectGarbage({ dryRun: true })).toEqual(expected);
+            expect(await repo.collectGarbage()).toEqual(expected);
+
+            const garbage = await repo.collectGarbage({ dryRun: true });
+            expect(Object.values(garbage).every(ids => ids.length === 0)).toBe(true);
+            expect(await repo.stubsFor(1).toJSON()).toEqual([ { responses: [ { is: 'first' } ] } ]);
+            expect(await repo.stubsFor(1).loadRequests()).toHaveLength(1);
+
+            await client.stop();
+        });
+
+        it('should not collect the stubs of imposters added meanwhile', async() => {
+            const stubs = Array.from({ length: 1000 }, (stub, index) => ({ responses: [ { is: index } ] }));
+
+            await Promise.all([
+                repo.add(imposterize({ port: 1, stubs })),
+                repo.collectGarbage(),
+            ]);
+
+            expect(await repo.stubsFor(1).toJSON()).toEqual(stubs);
+        });
+
+        it('should keep the stubs not saved with their imposter yet for the grace period only', async() => {
+            const storage = new ImposterStorage(redisOptions(), logger);
+            const client = new RedisClient(redisOptions(), logger);
+            const [ stub ] = await storage.saveStubs(1, [ { responses: [ { is: 'pending' } ] } ]);
+            const { responseIds } = await client.getObject('meta', `1:${ stub.meta.id }`);
+
+            expect(await repo.collectGarbage({ dryRun: true })).toMatchObject({ meta: [], response: [] });
+            expect(await repo.collectGarbage({ dryRun: true, gracePeriod: 0 }))
+                .toMatchObject({ meta: [ `1:${ stub.meta.id }` ], response: responseIds });
+
+            await storage.stop();
+            await client.stop();
+        });
+    });
+
+    describe('#migrate', () => {
+        let client;
+
+        beforeEach(() => {
+            client = new RedisClient(redisOptions(), logger);
+        });
+
+        afterEach(async() => {
+            await client.delObject('schema', 'version');
+            await client.stop();
+        });
+
+        it('should refuse to load data of an older schema until migrated', async() => {
+            await repo.add(imposterize({ port: 2526, protocol: 'tcp' }));
+            await client.delObject('schema', 'version');
+            // requests were stored as a list in a hash field before schema version 1
+            await client.setObject('requests', 2526, [ { value: 1 }, { value: 2 } ]);
+
+            await expect(repo.loadAll(protocols)).rejects.toHaveProperty('code', 'corrupted database');
+
+            const plan = await repo.migrate({ dryRun: true });
+            expect(plan).toEqual([ expect.objectContaining({ version: 1, changes: [ 'move 2 requests of 2526' ] }) ]);
+            expect(await client.getObject('requests', 2526)).toEqual([ { value: 1 }, { value: 2 } ]);
+
+            await repo.migrate();
+            const requests = await repo.stubsFor(2526).loadRequests();
+            expect(requests).toEqual([ { value: 1 }, { value: 2 } ]);
+
+            await repo.loadAll(protocols);
+            expect(await repo.exists(2526)).toBe(true);
+        });
+
+        it('should not duplicate entries when run again after an interruption', async() => {
+            await repo.add(imposterize({ port: 2526, protocol: 'tcp' }));
+            await client.delObject('schema', 'version');
+            await client.setObject('requests', 2526, [ { value: 1 }, { value: 2 } ]);
+            await client.appendToLog('requests', 2526, { value: 1 });
+
+            await repo.migrate();
+
+            expect(await repo.stubsFor(2526).loadRequests()).toEqual([ { value: 1 }, { value: 2 } ]);
+        });
+
+        it('should refuse to load data of a newer schema', async() => {
+            await client.setObject('schema', 'version', 999);
+
+            await expect(repo.loadAll(protocols)).rejects.toHaveProperty('code', 'corrupted database');
+        });
+    });
+
     describe('#stubsFor', () => {
         describe('#count', () => {
             it('should be 0 if no stubs on the imposter', async() => {
@@ -393,6 +893,30 @@ describe('redisImpostersRepository', () => {
                 expect(fourthResponse.is).toEqual('first');
             });
 
+            it('should not skip responses on concurrent nextResponse() calls from different instances', async() => {
+                const otherRepo = createRepo();
+                const stub = { responses: [ { is: 'first' }, { is: 'second', repeat: 2 }, { is: 'third' } ] };
+                const imposter = { port: 1, stubs: [ stub ] };
+
+                await repo.add(imposterize(imposter));
+                const match = await repo.stubsFor(1).first(() => true);
+                const otherMatch = await otherRepo.stubsFor(1).first(() => true);
+                const responses = await Promise.all([
+                    match.stub.nextResponse(),
+                    otherMatch.stub.nextResponse(),
+                    match.stub.nextResponse(),
+                    otherMatch.stub.nextResponse(),
+                    match.stub.nextResponse(),
+                    otherMatch.stub.nextResponse(),
+                    match.stub.nextResponse(),
+                    otherMatch.stub.nextResponse(),
+                ]);
+                const values = responses.map(response => response.is).sort();
+
+                expect(values).toEqual([ 'first', 'first', 'second', 'second', 'second', 'second', 'third', 'third' ]);
+                await otherRepo.stopAll();
+            });
+
             it('should support adding responses through addResponse()', async() => {
                 const imposter = { port: 1, stubs: [ {} ] };
 
@@ -528,6 +1052,20 @@ describe('redisImpostersRepository', () => {
                 ]);
             });
 
+            it('should overwrite stubs concurrently from different instances', async() => {
+                const otherRepo = createRepo();
+
+                await repo.add(imposterize({ port: 1, stubs: [ { responses: [ { is: 'first' } ] }, { responses: [ { is: 'second' } ] } ] }));
+                await Promise.all([
+                    repo.stubsFor(1).overwriteAtIndex({ responses: [ { is: 'third' } ] }, 0),
+                    otherRepo.stubsFor(1).overwriteAtIndex({ responses: [ { is: 'fourth' } ] }, 1),
+                ]);
+                const all = await repo.stubsFor(1).toJSON();
+
+                expect(all.map(stub => stub.responses[0].is)).toEqual([ 'third', 'fourth' ]);
+                await otherRepo.stopAll();
+            });
+
             it('should reject the promise if no stub at that index', async() => {
                 const imposter = { port: 1 };
 
@@ -580,6 +1118,58 @@ describe('redisImpostersRepository', () => {
             });
         });
 
+        describe('#add', () => {
+            it('should not lose stubs added concurrently', async() => {
+                await repo.add(imposterize({ port: 1, stubs: [] }));
+                await Promise.all([ 1, 2, 3, 4, 5 ].map(value => repo.stubsFor(1).add({ responses: [ { is: value } ] })));
+                const all = await repo.stubsFor(1).toJSON();
+                const values = all.map(stub => stub.responses[0].is).sort();
+
+                expect(values).toEqual([ 1, 2, 3, 4, 5 ]);
+            });
+
+            it('should not lose stubs added concurrently from different instances', async() => {
+                const otherRepo = createRepo();
+
+                await repo.add(imposterize({ port: 1, stubs: [] }));
+                await Promise.all([ 1, 2, 3, 4, 5, 6 ].map(value => {
+                    const instance = value % 2 ? repo : otherRepo;
+                    return instance.stubsFor(1).add({ responses: [ { is: value } ] });
+                }));
+                const all = await repo.stubsFor(1).toJSON();
+                const values = all.map(stub => stub.responses[0].is).sort();
+
+                expect(values).toEqual([ 1, 2, 3, 4, 5, 6 ]);
+                await otherRepo.stopAll();
+            });
+
+            it('should not conflict on concurrent changes of different imposters', async() => {
+                const warnings = [];
+                const warningLogger = { ...createLogger(), warn: message => warnings.push(message) };
+                warningLogger.child = () => warningLogger;
+                const firstRepo = createRepo({}, warningLogger);
+                const secondRepo = createRepo({}, warningLogger);
+
+                await firstRepo.add(imposterize({ port: 1, stubs: [] }));
+                await secondRepo.add(imposterize({ port: 2, stubs: [] }));
+                await secondRepo.add(imposterize({ port: 3, stubs: [ { responses: [ { is: 0 } ] } ] }));
+                const recording = await secondRepo.stubsFor(3).first(() => true);
+                await Promise.all([ 1, 2, 3, 4, 5 ].flatMap(value => [
+                    firstRepo.stubsFor(1).add({ responses: [ { is: value } ] }),
+                    secondRepo.stubsFor(2).add({ responses: [ { is: value } ] }),
+                    recording.stub.addResponse({ is: value }),
+                ]));
+
+                expect(await firstRepo.stubsFor(1).count()).toBe(5);
+                expect(await firstRepo.stubsFor(2).count()).toBe(5);
+                const [ recorded ] = await firstRepo.stubsFor(3).toJSON();
+                expect(recorded.responses).toHaveLength(6);
+                expect(warnings.filter(warning => warning.includes('conflict'))).toStrictEqual([]);
+                await firstRepo.stopAll();
+                await secondRepo.stopAll();
+            });
+        });
+
         describe('#insertAtIndex', () => {
             it('should add single stub at given index', async() => {
                 const first = { responses: [ { is: 'first' }, { is: 'second' } ] };
@@ -614,6 +1204,47 @@ describe('redisImpostersRepository', () => {
             });
         });
 
+        describe('retention', () => {
+            it('should evict the oldest requests over the repository limit', async() => {
+                const limitedRepo = createRepo({ retention: { requests: { maxCount: 2 } } });
+                const stubs = limitedRepo.stubsFor(1);
+
+                await limitedRepo.add(imposterize({ port: 1 }));
+                await stubs.addRequest({ value: 1 });
+                await stubs.addRequest({ value: 2 });
+                await stubs.addRequest({ value: 3 });
+                const requests = await stubs.loadRequests();
+
+                expect(requests.map(request => request.value)).toEqual([ 2, 3 ]);
+                await limitedRepo.stopAll();
+            });
+
+            it('should prefer the imposter limits to the repository ones', async() => {
+                const imposter = { port: 1, stubs: [ {} ], retention: { matches: { maxCount: 1 } } };
+
+                await repo.add(imposterize(imposter));
+                const match = await repo.stubsFor(1).first(() => true);
+                await match.stub.recordMatch('FIRST', 'RESPONSE');
+                await match.stub.recordMatch('SECOND', 'RESPONSE');
+                const all = await repo.stubsFor(1).toJSON({ debug: true });
+
+                expect(all[0].matches.map(item => item.request)).toEqual([ 'SECOND' ]);
+            });
+
+            it('should evict requests exceeding the size limit', async() => {
+                const imposter = { port: 1, retention: { requests: { maxBytes: 100 } } };
+                const stubs = repo.stubsFor(1);
+
+                await repo.add(imposterize(imposter));
+                await stubs.addRequest({ value: 'a'.repeat(40) });
+                await stubs.addRequest({ value: 'b'.repeat(40) });
+                await stubs.addRequest({ value: 'c'.repeat(40) });
+                const requests = await stubs.loadRequests();
+
+                expect(requests.map(request => request.value[0])).toEqual([ 'c' ]);
+            });
+        });
+
         describe('#deleteSavedRequests', () => {
             it('should clear the requests list', async() => {
                 const imposter = { port: 1 };
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Lua scripts registered as custom commands of the redis client.
+ * All the keys a script touches are passed as KEYS, so they can be namespaced by the caller.
+ * @module
+ */
+
+/**
+ * Advances the response cursor of the stub and returns the response it pointed to.
+ * KEYS: meta hash, response hash
+ * ARGV: meta field
+ * Returns { 0 } if there is no meta, { 1 } if the stub has no responses and { 1, response } otherwise.
+ */
+const nextResponse = {
+    numberOfKeys: 2,
+    lua: `
+        local json = redis.call('HGET', KEYS[1], ARGV[1])
+        if not json then
+            return { 0 }
+        end
+
+        local meta = cjson.decode(json)
+        local count = #meta.orderWithRepeats
+        if count == 0 then
+            return { 1 }
+        end
+
+        local cursor = (meta.nextIndex or 0) % count
+        local responseIndex = meta.orderWithRepeats[cursor + 1]
+        meta.nextIndex = (cursor + 1) % count
+        redis.call('HSET', KEYS[1], ARGV[1], cjson.encode(meta))
+
+        return { 1, redis.call('HGET', KEYS[2], meta.responseIds[responseIndex + 1]) }
+    `,
+};
+
+/**
+ * Saves a response and appends it to the stub meta without losing concurrent cursor moves,
+ * incrementing the revision of the imposter.
+ * KEYS: meta hash, response hash, revision hash
+ * ARGV: meta field, response id, response json, number of repeats, revision field
+ * Returns { updated meta json, new revision } or false if there is no meta.
+ */
+const addResponse = {
+    numberOfKeys: 3,
+    lua: `
+        local json = redis.call('HGET', KEYS[1], ARGV[1])
+        if not json then
+            return false
+        end
+
+        local meta = cjson.decode(json)
+        local responseIndex = #meta.responseIds
+        redis.call('HSET', KEYS[2], ARGV[2], ARGV[3])
+        table.insert(meta.responseIds, ARGV[2])
+        for i = 1, tonumber(ARGV[4]) do
+            table.insert(meta.orderWithRepeats, responseIndex)
+        end
+
+        json = cjson.encode(meta)
+        redis.call('HSET', KEYS[1], ARGV[1], json)
+        return { json, redis.call('HINCRBY', KEYS[3], ARGV[5], 1) }
+    `,
+};
+
+/**
+ * Appends an entry to the log stream and evicts the oldest entries exceeding the limits.
+ * Limits stored as json in the limits hash override the ones passed as arguments, zero means no limit.
+ * The newest entry is never evicted.
+ * KEYS: log stream, log ids set, log sizes hash, limits hash
+ * ARGV: log id, entry json, max count, max age in ms, max bytes, limits field or empty string
+ * Returns the id of the appended entry.
+ */
+const appendToLog = {
+    numberOfKeys: 4,
+    lua: `
+        local entryId = redis.call('XADD', KEYS[1], '*', 'data', ARGV[2])
+        redis.call('SADD', KEYS[2], ARGV[1])
+        local bytes = redis.call('HINCRBY', KEYS[3], ARGV[1], #ARGV[2])
+
+        local limits = { maxCount = ARGV[3], maxAge = ARGV[4], maxBytes = ARGV[5] }
+        local override = ARGV[6] ~= '' and redis.call('HGET', KEYS[4], ARGV[6])
+        if override then
+            for name, value in pairs(cjson.decode(override)) do
+                limits[name] = value
+            end
+        end
+        local maxCount = tonumber(limits.maxCount) or 0
+        local maxAge = tonumber(limits.maxAge) or 0
+        local maxBytes = tonumber(limits.maxBytes) or 0
+
+        local minTime = tonumber(string.match(entryId, '^%d+')) - maxAge
+        local length = redis.call('XLEN', KEYS[1])
+        while length > 1 do
+            local oldest = redis.call('XRANGE', KEYS[1], '-', '+', 'COUNT', 1)[1]
+            local time = tonumber(string.match(oldest[1], '^%d+'))
+            local exceeded = (maxCount > 0 and length > maxCount) or
+                (maxAge > 0 and time < minTime) or
+                (maxBytes > 0 and bytes > maxBytes)
+            if not exceeded then
+                break
+            end
+
+            redis.call('XDEL', KEYS[1], oldest[1])
+            bytes = redis.call('HINCRBY', KEYS[3], ARGV[1], -#oldest[2][2])
+            length = length - 1
+        end
+
+        return entryId
+    `,
+};
+
+/**
+ * Runs the writes of a transaction only if the version it depends on hasn't changed since it was read,
+ * and increments the version.
+ * KEYS: version hash, then the keys of the writes
+ * ARGV: version field, expected version, json array of the writes, each being [ command, index of its key in KEYS, ...args ]
+ * Returns the new version or false if the version has changed.
+ */
+const execIfVersion = {
+    lua: `
+        if tostring(tonumber(redis.call('HGET', KEYS[1], ARGV[1])) or 0) ~= ARGV[2] then
+            return false
+        end
+
+        for _, command in ipairs(cjson.decode(ARGV[3])) do
+            redis.call(command[1], KEYS[command[2]], unpack(command, 3))
+        end
+        return redis.call('HINCRBY', KEYS[1], ARGV[1], 1)
+    `,
+};
+
+/**
+ * Deletes the key only if it still holds the value, so that a lock is only released by its owner,
+ * and never after it has expired and been acquired by someone else.
+ * KEYS: the key
+ * ARGV: the expected value
+ * Returns 1 if the key is deleted, 0 otherwise.
+ */
+const compareAndDelete = {
+    numberOfKeys: 1,
+    lua: `
+        if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+            return 0
+        end
+
+        return redis.call('DEL', KEYS[1])
+    `,
+};
+
+module.exports = {
+    addResponse,
+    appendToLog,
+    compareAndDelete,
+    execIfVersion,
+    nextResponse,
+};
@@ -89,8 +89,7 @@ function stubRepository(imposterId, imposterStorage, logger) {
      * @returns {Object} - the promise
      */
     async function overwriteAtIndex(stub, index) {
-        await deleteAtIndex(index);
-        await insertAtIndex(stub, index);
+        await imposterStorage.overwriteStubAtIndex(imposterId, stub, index);
     }
 
     /**
@@ -114,16 +113,8 @@ function stubRepository(imposterId, imposterStorage, logger) {
         }
 
         try {
-            for (let i = 0; i < imposter.stubs.length; i++) {
-                const stub = imposter.stubs[i];
-                stub.responses = await imposterStorage.getResponses(imposterId, stub.meta.id);
-                if (options.debug) {
-                    stub.matches = await imposterStorage.getMatches(stub.meta.id);
-                }
-                delete stub.meta;
-            }
-
-            return imposter.stubs;
+            const [ stubs ] = await imposterStorage.getStubsJSON([ imposter ], options);
+            return stubs;
         } catch (e) {
             _logger.error(e, 'STUB_TO_JSON_ERROR');
         }
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Creates protocols binding the tcp imposters without opening their ports, and records the bindings.
+ * Binding an imposter on a port already bound fails, as it would with a real port.
+ * @param {Object} options - the options
+ * @param {Number} options.bindDelay - the time in milliseconds binding an imposter takes
+ * @returns {Object} - the protocols, the configs of the bound imposters by port and the configs of all bindings in order
+ */
+module.exports = function fakeProtocols(options = {}) {
+    const bound = new Map();
+    const created = [];
+
+    const protocols = {
+        tcp: {
+            createImposterFrom: async imposterConfig => {
+                if (options.bindDelay) {
+                    await new Promise(resolve => setTimeout(resolve, options.bindDelay));
+                }
+                if (bound.has(imposterConfig.port)) {
+                    throw new Error(`EADDRINUSE ${ imposterConfig.port }`);
+                }
+                bound.set(imposterConfig.port, imposterConfig);
+                created.push(imposterConfig);
+                return { port: imposterConfig.port, stop: async() => bound.delete(imposterConfig.port) };
+            },
+        },
+    };
+
+    return { bound, created, protocols };
+};
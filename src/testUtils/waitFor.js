@@ -0,0 +1,19 @@
+'use strict';
+
+const POLL_INTERVAL = 10;
+
+/**
+ * Polls the condition until it holds, as the changes made through other instances are applied asynchronously
+ * @param {Function} condition - the function returning or resolving to whether the condition holds
+ * @param {Number} timeout - the time in milliseconds after which waiting fails
+ * @returns {Object} - the promise, rejected if the condition doesn't hold in time
+ */
+module.exports = async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!await condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${ condition }`);
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+};
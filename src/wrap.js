@@ -91,7 +91,7 @@ function wrap(stub, imposterId, imposterStorage) {
 
         cloned.matches.push(match);
 
-        await imposterStorage.addMatch(stubId, match);
+        await imposterStorage.addMatch(imposterId, stubId, match);
     };
 
     return cloned;